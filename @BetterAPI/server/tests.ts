@@ -0,0 +1,2 @@
+// Type tests for index.d.ts, checked by the tsconfig.json next to it.
+export {};
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { system, Player } from "@minecraft/server";
+import { CustomEvents } from "../utilities/custom-events.js";
+
+/**
+ * Plays ticks of a player's movement.
+ * @param {Player} player
+ * @param {string} steps One character per tick: `g` on the ground, `a` in the air, `j` in the air holding jump,
+ * `J` on the ground holding jump.
+ */
+function play(player, steps) {
+    for (const step of steps) {
+        player.isOnGround = step === "g" || step === "J";
+        player.isJumping = step === "j" || step === "J";
+        system.tick();
+    }
+}
+
+test("detectDoubleJumpEvent fires on the second jump press in the air", () => {
+    const player = new Player("Steve");
+    const jumps = [];
+    const subscription = CustomEvents.detectDoubleJumpEvent((jumper) => jumps.push(jumper.name));
+    // Jump off the ground (not counted), then press jump twice in the air
+    play(player, "gJjaajaaja");
+    assert.deepEqual(jumps, ["Steve"]);
+    // A third press in the same fall doesn't fire again
+    play(player, "aja");
+    assert.deepEqual(jumps, ["Steve"]);
+    subscription.unsubscribe();
+    player.leave();
+});
+
+test("detectDoubleJumpEvent counts presses after walking off a ledge", () => {
+    const player = new Player("Alex");
+    let count = 0;
+    const subscription = CustomEvents.detectDoubleJumpEvent(() => count++);
+    play(player, "ggaaajaaaja");
+    assert.equal(count, 1);
+    subscription.unsubscribe();
+    player.leave();
+});
+
+test("detectDoubleJumpEvent starts over on landing", () => {
+    const player = new Player("Sam");
+    let count = 0;
+    const subscription = CustomEvents.detectDoubleJumpEvent(() => count++);
+    play(player, "gajagaja");
+    assert.equal(count, 0);
+    // Time between the presses doesn't matter
+    play(player, "aja" + "a".repeat(100) + "ja");
+    assert.equal(count, 1);
+    subscription.unsubscribe();
+    player.leave();
+});
@@ -0,0 +1,133 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { world, Player, ItemStack } from "@minecraft/server";
+import { InventoryUtils } from "../utilities/inventory-utilities.js";
+import { ItemCodec } from "../utilities/itemstack-utilities.js";
+import { ChunkedStorage } from "../utilities/storage-utilities.js";
+
+/**
+ * @param {Player} player
+ * @returns {(ItemStack | undefined)[]}
+ */
+function slotsOf(player) {
+    return player.getComponent("inventory").container.slots;
+}
+
+/**
+ * Fills every slot but the given ones with dirt.
+ * @param {Player} player
+ * @param {number[]} [free=[]]
+ */
+function fill(player, free = []) {
+    const { container } = player.getComponent("inventory");
+    for (let slot = 0; slot < container.size; slot++)
+        if (!free.includes(slot)) container.setItem(slot, new ItemStack("minecraft:dirt", 64));
+}
+
+const mailboxOf = (player) => ChunkedStorage.get(world, `mailbox:${player.id}`);
+
+test("giveItems tops up matching stacks before filling empty slots", () => {
+    const player = new Player("Steve");
+    const { container } = player.getComponent("inventory");
+    container.setItem(3, new ItemStack("minecraft:arrow", 60));
+    const result = InventoryUtils.giveItems(player, { item: "arrow", amount: 70 });
+    assert.equal(result.success, true);
+    assert.deepEqual(result.placed, [
+        { slot: 3, typeId: "minecraft:arrow", amount: 4, merged: true },
+        { slot: 0, typeId: "minecraft:arrow", amount: 64, merged: false },
+        { slot: 1, typeId: "minecraft:arrow", amount: 2, merged: false }
+    ]);
+    assert.deepEqual([0, 1, 3].map(slot => slotsOf(player)[slot].amount), [64, 2, 64]);
+    player.leave();
+});
+
+test("giveItems gives one item for a type id without an amount", () => {
+    const player = new Player("Alex");
+    InventoryUtils.giveItems(player, { item: "minecraft:apple" });
+    InventoryUtils.giveItems(player, new ItemStack("minecraft:apple", 5));
+    assert.equal(slotsOf(player)[0].amount, 6);
+    player.leave();
+});
+
+test("giveItems throws on invalid amounts without giving anything", () => {
+    const player = new Player("Sam");
+    for (const amount of [0, -3, 1.5, NaN])
+        assert.throws(() => InventoryUtils.giveItems(player, [{ item: "apple", amount: 1 }, { item: "arrow", amount }]), /Invalid amount/);
+    assert.equal(slotsOf(player).filter(Boolean).length, 0);
+    player.leave();
+});
+
+test("giveItems overflow policies", () => {
+    const player = new Player("Kai");
+    fill(player, [0]);
+    const items = [new ItemStack("minecraft:diamond_sword"), new ItemStack("minecraft:golden_sword")];
+
+    const rejected = InventoryUtils.giveItems(player, items, { overflow: "reject" });
+    assert.equal(rejected.success, false);
+    assert.equal(slotsOf(player)[0], undefined);
+
+    const dropped = InventoryUtils.giveItems(player, items);
+    assert.equal(dropped.overflowTo, "drop");
+    assert.equal(slotsOf(player)[0].typeId, "minecraft:diamond_sword");
+    assert.equal(player.dimension.spawnedItems.at(-1).itemStack.typeId, "minecraft:golden_sword");
+
+    const kept = InventoryUtils.giveItems(player, { item: "arrow", amount: 100 }, { overflow: "mailbox" });
+    assert.equal(kept.overflowTo, "mailbox");
+    assert.deepEqual(mailboxOf(player).map(({ typeId, amount }) => [typeId, amount]), [["minecraft:arrow", 64], ["minecraft:arrow", 36]]);
+    player.leave();
+});
+
+test("claimMailbox gives what fits and keeps the overflow and undecodable items", () => {
+    const player = new Player("Robin");
+    const unknown = { version: ItemCodec.VERSION, typeId: "test:unknown_gem", amount: 1 };
+    ChunkedStorage.set(world, `mailbox:${player.id}`, [
+        unknown,
+        ItemCodec.encode(new ItemStack("minecraft:arrow", 64)),
+        ItemCodec.encode(new ItemStack("minecraft:arrow", 30))
+    ]);
+    fill(player, [5]);
+    const errors = [];
+    const { error } = console;
+    console.error = (...args) => errors.push(args);
+    try {
+        const result = InventoryUtils.claimMailbox(player);
+        assert.deepEqual(result.placed, [{ slot: 5, typeId: "minecraft:arrow", amount: 64, merged: false }]);
+        assert.equal(result.overflowTo, "mailbox");
+        assert.deepEqual(mailboxOf(player), [unknown, ItemCodec.encode(new ItemStack("minecraft:arrow", 30))]);
+        assert.deepEqual(InventoryUtils.getMailbox(player).map(item => item.amount), [30]);
+
+        // Once the undecodable item is the only one left, claiming doesn't change the mailbox
+        slotsOf(player).fill(undefined);
+        InventoryUtils.claimMailbox(player);
+        assert.deepEqual(mailboxOf(player), [unknown]);
+        assert.equal(slotsOf(player)[0].amount, 30);
+    } finally {
+        console.error = error;
+    }
+    assert.ok(errors.length > 0);
+    player.leave();
+});
+
+test("claimMailbox empties the mailbox once everything is given", () => {
+    const player = new Player("Jo");
+    InventoryUtils.giveItems(player, { item: "apple", amount: 3 }, { overflow: "mailbox" });
+    fill(player);
+    InventoryUtils.giveItems(player, { item: "apple", amount: 3 }, { overflow: "mailbox" });
+    slotsOf(player).fill(undefined);
+    InventoryUtils.claimMailbox(player);
+    assert.equal(mailboxOf(player), undefined);
+    assert.equal(world.getDynamicPropertyIds().some(id => id.startsWith(`mailbox:${player.id}`)), false);
+    player.leave();
+});
+
+test("claimMailbox leaves the mailbox untouched when giving fails", () => {
+    const player = new Player("Lee");
+    const stored = [ItemCodec.encode(new ItemStack("minecraft:apple", 3))];
+    ChunkedStorage.set(world, `mailbox:${player.id}`, stored);
+    player.getComponent("inventory").container.setItem = () => {
+        throw new Error("Container is not valid");
+    };
+    assert.throws(() => InventoryUtils.claimMailbox(player), /not valid/);
+    assert.deepEqual(mailboxOf(player), stored);
+    player.leave();
+});
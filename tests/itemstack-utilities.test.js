@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ItemStack } from "@minecraft/server";
+import { ItemCodec } from "../utilities/itemstack-utilities.js";
+
+/**
+ * Runs a function with console.error captured.
+ * @param {() => any} run
+ * @returns {{result: any, errors: string[]}}
+ */
+function captureErrors(run) {
+    const errors = [];
+    const { error } = console;
+    console.error = (...args) => errors.push(args.join(" "));
+    try {
+        return { result: run(), errors };
+    } finally {
+        console.error = error;
+    }
+}
+
+test("encode and decode keep the item properties", () => {
+    const sword = new ItemStack("minecraft:diamond_sword");
+    sword.nameTag = "Excalibur";
+    sword.lockMode = "inventory";
+    sword.keepOnDeath = true;
+    sword.setLore(["Pulled from a stone"]);
+    sword.setDynamicProperty("owner", "Steve");
+    const data = ItemCodec.encode(sword);
+    assert.deepEqual(data, {
+        version: ItemCodec.VERSION,
+        typeId: "minecraft:diamond_sword",
+        amount: 1,
+        nameTag: "Excalibur",
+        lockMode: "inventory",
+        keepOnDeath: true,
+        lore: ["Pulled from a stone"],
+        dynamicProperties: { owner: "Steve" }
+    });
+    const copy = ItemCodec.decode(JSON.parse(JSON.stringify(data)));
+    assert.deepEqual(ItemCodec.encode(copy), data);
+    assert.equal(ItemCodec.encode(undefined), null);
+    assert.equal(ItemCodec.decode(null), undefined);
+});
+
+test("first format data is migrated", () => {
+    // As written by saveInventory before the codec
+    const legacy = {
+        typeId: "minecraft:apple",
+        props: { amount: 12, nameTag: "Snack", lockMode: "none", keepOnDeath: false },
+        lore: ["Crunchy"],
+        components: { enchantable: [], durability: 0 }
+    };
+    assert.deepEqual(ItemCodec.migrate(legacy), {
+        version: 2,
+        typeId: "minecraft:apple",
+        amount: 12,
+        nameTag: "Snack",
+        lore: ["Crunchy"],
+        components: {}
+    });
+    const apple = ItemCodec.decode(legacy);
+    assert.equal(apple.amount, 12);
+    assert.equal(apple.nameTag, "Snack");
+    assert.deepEqual(apple.getLore(), ["Crunchy"]);
+    assert.equal(ItemCodec.decode({ typeId: "minecraft:stick", props: {} }).amount, 1);
+});
+
+test("migrations run in order up to the current version", () => {
+    const version = ItemCodec.VERSION;
+    ItemCodec.VERSION = version + 1;
+    try {
+        ItemCodec.addMigration(version, (data) => ({ ...data, nameTag: `${data.nameTag} (v${version + 1})` }));
+        const migrated = ItemCodec.migrate({ typeId: "minecraft:stick", props: { amount: 2, nameTag: "Wand" } });
+        assert.equal(migrated.version, version + 1);
+        assert.equal(migrated.nameTag, `Wand (v${version + 1})`);
+        ItemCodec.VERSION = version + 2;
+        assert.throws(() => ItemCodec.migrate(migrated), new RegExp(`No migration from item data version ${version + 1}`));
+    } finally {
+        ItemCodec.VERSION = version;
+    }
+});
+
+test("data newer than the codec is rejected", () => {
+    const data = { version: ItemCodec.VERSION + 1, typeId: "minecraft:stick", amount: 1 };
+    assert.throws(() => ItemCodec.decode(data), /is newer than the supported version/);
+    const { result, errors } = captureErrors(() => ItemCodec.safeDecode(data, "the mailbox of Steve"));
+    assert.equal(result, undefined);
+    assert.match(errors[0], /Failed to load an item of the mailbox of Steve/);
+});
+
+test("unknown items and components are reported", () => {
+    const { result, errors } = captureErrors(() => ItemCodec.safeDecode({ version: 2, typeId: "test:unknown_gem", amount: 1 }));
+    assert.equal(result, undefined);
+    assert.match(errors[0], /Failed to load an item of saved data/);
+
+    const stick = captureErrors(() => ItemCodec.decode({ version: 2, typeId: "minecraft:stick", amount: 3, components: { "test:glow": true } }));
+    assert.equal(stick.result.amount, 3);
+    assert.match(stick.errors[0], /No codec registered for the item component "test:glow"/);
+});
@@ -0,0 +1,327 @@
+// In-memory stand-in for the parts of "@minecraft/server" used by the tests, so the utilities run under Node.
+// Only the behavior the tests rely on is modelled. Loaded in place of the real module by register.js.
+
+class EventSignal {
+    constructor() {
+        this.callbacks = new Set();
+    }
+
+    subscribe(callback) {
+        this.callbacks.add(callback);
+        return callback;
+    }
+
+    unsubscribe(callback) {
+        this.callbacks.delete(callback);
+    }
+
+    /** Test helper: calls the subscribers. */
+    fire(event) {
+        for (const callback of [...this.callbacks]) callback(event);
+    }
+}
+
+/** Event signals are created on first access, e.g. `world.afterEvents.entitySpawn`. */
+function signals() {
+    const created = {};
+    return new Proxy(created, { get: (target, name) => target[name] ??= new EventSignal() });
+}
+
+class PropertyHolder {
+    constructor() {
+        this.properties = new Map();
+    }
+
+    getDynamicProperty(id) {
+        return this.properties.get(id);
+    }
+
+    setDynamicProperty(id, value) {
+        if (value === undefined) this.properties.delete(id);
+        else this.properties.set(id, value);
+    }
+
+    getDynamicPropertyIds() {
+        return [...this.properties.keys()];
+    }
+
+    clearDynamicProperties() {
+        this.properties.clear();
+    }
+}
+
+let nextId = 1;
+const runs = new Map();
+
+export const system = {
+    currentTick: 0,
+    runInterval(callback, interval = 1) {
+        const id = nextId++;
+        runs.set(id, { callback, interval });
+        return id;
+    },
+    runTimeout(callback, delay = 1) {
+        const id = nextId++;
+        runs.set(id, { callback, at: system.currentTick + delay });
+        return id;
+    },
+    run(callback) {
+        return system.runTimeout(callback, 1);
+    },
+    runJob(generator) {
+        const id = nextId++;
+        runs.set(id, { generator });
+        return id;
+    },
+    clearJob(id) {
+        runs.delete(id);
+    },
+    clearRun(id) {
+        runs.delete(id);
+    },
+    /** Test helper: advances the game by some ticks. */
+    tick(count = 1) {
+        for (let i = 0; i < count; i++) {
+            system.currentTick++;
+            for (const [id, run] of [...runs]) {
+                if (!runs.has(id)) continue;
+                if (run.generator) {
+                    if (run.generator.next().done) runs.delete(id);
+                } else if (run.at !== undefined) {
+                    if (run.at > system.currentTick) continue;
+                    runs.delete(id);
+                    run.callback();
+                } else if (system.currentTick % run.interval === 0) {
+                    run.callback();
+                }
+            }
+        }
+    }
+};
+
+export const EquipmentSlot = { Head: "Head", Chest: "Chest", Legs: "Legs", Feet: "Feet", Mainhand: "Mainhand", Offhand: "Offhand" };
+
+export const Direction = { Up: "Up", Down: "Down", North: "North", South: "South", East: "East", West: "West" };
+
+export class ItemStack extends PropertyHolder {
+    constructor(typeId, amount = 1) {
+        super();
+        if (typeId.startsWith("test:unknown"))
+            throw new Error(`Invalid item identifier "${typeId}".`);
+        this.typeId = typeId.includes(":") ? typeId : `minecraft:${typeId}`;
+        this.amount = amount;
+        this.maxAmount = this.typeId.endsWith("_sword") ? 1 : 64;
+        this.nameTag = undefined;
+        this.lockMode = "none";
+        this.keepOnDeath = false;
+        this.lore = [];
+    }
+
+    get isStackable() {
+        return this.maxAmount > 1;
+    }
+
+    isStackableWith(other) {
+        return this.isStackable && other.typeId === this.typeId && other.nameTag === this.nameTag
+            && other.lore.join("\n") === this.lore.join("\n");
+    }
+
+    clone() {
+        const copy = new ItemStack(this.typeId, this.amount);
+        copy.nameTag = this.nameTag;
+        copy.lockMode = this.lockMode;
+        copy.keepOnDeath = this.keepOnDeath;
+        copy.lore = [...this.lore];
+        copy.properties = new Map(this.properties);
+        return copy;
+    }
+
+    getLore() {
+        return [...this.lore];
+    }
+
+    setLore(lore) {
+        this.lore = [...(lore ?? [])];
+    }
+
+    getCanPlaceOn() {
+        return [];
+    }
+
+    getCanDestroy() {
+        return [];
+    }
+
+    setCanPlaceOn() {}
+
+    setCanDestroy() {}
+
+    getComponent() {
+        return undefined;
+    }
+
+    hasComponent() {
+        return false;
+    }
+
+    getTags() {
+        return [];
+    }
+
+    hasTag() {
+        return false;
+    }
+}
+
+export class Container {
+    constructor(size) {
+        this.size = size;
+        this.slots = new Array(size).fill(undefined);
+    }
+
+    get emptySlotsCount() {
+        return this.slots.filter(item => !item).length;
+    }
+
+    getItem(slot) {
+        return this.slots[slot]?.clone();
+    }
+
+    setItem(slot, itemStack) {
+        this.slots[slot] = itemStack?.clone();
+    }
+
+    addItem(itemStack) {
+        const slot = this.slots.findIndex(item => !item);
+        if (slot === -1) return itemStack;
+        this.slots[slot] = itemStack.clone();
+        return undefined;
+    }
+
+    clearAll() {
+        this.slots.fill(undefined);
+    }
+}
+
+export class Dimension {
+    constructor(id) {
+        this.id = id;
+        this.heightRange = { min: -64, max: 320 };
+        /** Test helper: items spawned with spawnItem. */
+        this.spawnedItems = [];
+    }
+
+    spawnItem(itemStack, location) {
+        this.spawnedItems.push({ itemStack: itemStack.clone(), location });
+        return new Entity("minecraft:item", { dimension: this, location });
+    }
+
+    getEntities() {
+        return [];
+    }
+
+    getPlayers() {
+        return world.getAllPlayers().filter(player => player.dimension === this);
+    }
+}
+
+const dimensions = new Map();
+
+export class Entity extends PropertyHolder {
+    constructor(typeId, { dimension = world.getDimension("overworld"), location = { x: 0, y: 64, z: 0 } } = {}) {
+        super();
+        this.typeId = typeId;
+        this.id = String(nextId++);
+        this.dimension = dimension;
+        this.location = location;
+        this.isValid = true;
+        this.components = {};
+    }
+
+    getComponent(id) {
+        return this.components[id.replace("minecraft:", "")];
+    }
+
+    hasComponent(id) {
+        return this.getComponent(id) !== undefined;
+    }
+
+    remove() {
+        this.isValid = false;
+    }
+}
+
+export class Player extends Entity {
+    constructor(name) {
+        super("minecraft:player");
+        this.name = name;
+        this.isOnGround = true;
+        this.isJumping = false;
+        this.isSneaking = false;
+        this.messages = [];
+        const equipment = {};
+        this.components.inventory = { container: new Container(36) };
+        this.components.equippable = {
+            getEquipment: (slot) => equipment[slot]?.clone(),
+            setEquipment: (slot, itemStack) => { equipment[slot] = itemStack?.clone(); return true; }
+        };
+        players.push(this);
+    }
+
+    sendMessage(message) {
+        this.messages.push(message);
+    }
+
+    /** Test helper: takes the player out of the world. */
+    leave() {
+        players.splice(players.indexOf(this), 1);
+        this.isValid = false;
+        world.afterEvents.playerLeave.fire({ playerId: this.id, playerName: this.name });
+    }
+}
+
+export class Block {}
+
+export class BlockPermutation {
+    static resolve(typeId, states) {
+        return { type: { id: typeId }, states };
+    }
+}
+
+export class EnchantmentType {
+    constructor(id) {
+        this.id = id;
+    }
+}
+
+/** Only a type in the real module. */
+export class Vector3 {}
+
+/** @type {Player[]} */
+const players = [];
+
+class World extends PropertyHolder {
+    constructor() {
+        super();
+        this.afterEvents = signals();
+        this.beforeEvents = signals();
+    }
+
+    getAllPlayers() {
+        return [...players];
+    }
+
+    getPlayers() {
+        return [...players];
+    }
+
+    getDimension(id) {
+        const key = id.includes(":") ? id : `minecraft:${id}`;
+        if (!dimensions.has(key)) dimensions.set(key, new Dimension(key));
+        return dimensions.get(key);
+    }
+
+    sendMessage() {}
+}
+
+export const world = new World();
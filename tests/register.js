@@ -0,0 +1,10 @@
+// Loaded with `node --import`: resolves "@minecraft/server" to the in-memory fake, as the game isn't available under Node.
+import { register } from "node:module";
+
+register("data:text/javascript," + encodeURIComponent(`
+    export async function resolve(specifier, context, next) {
+        if (specifier === "@minecraft/server")
+            return { url: ${JSON.stringify(new URL("./minecraft-server.js", import.meta.url).href)}, shortCircuit: true };
+        return next(specifier, context);
+    }
+`));
@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Entity } from "@minecraft/server";
+import { ChunkedStorage } from "../utilities/storage-utilities.js";
+
+const holder = () => new Entity("minecraft:armor_stand");
+
+/** UTF-8 size of a string. */
+const bytes = (text) => Buffer.byteLength(text, "utf8");
+
+test("values round trip, small or split into chunks", () => {
+    const entity = holder();
+    const quests = { active: ["mine"], done: Array.from({ length: 5000 }, (_, i) => ({ id: i, name: `quest ${i}` })) };
+    ChunkedStorage.set(entity, "quests", quests);
+    ChunkedStorage.set(entity, "level", 3);
+    assert.deepEqual(ChunkedStorage.get(entity, "quests"), quests);
+    assert.equal(ChunkedStorage.get(entity, "level"), 3);
+    assert.ok(entity.getDynamicPropertyIds().filter(id => id.startsWith("quests:chunk:")).length > 1);
+    assert.deepEqual(ChunkedStorage.keys(entity).sort(), ["level", "quests"]);
+    assert.equal(ChunkedStorage.get(entity, "missing"), undefined);
+});
+
+test("chunks stay under the dynamic property limit in UTF-8 bytes", () => {
+    const entity = holder();
+    const text = "§a€😀".repeat(20000);
+    ChunkedStorage.set(entity, "text", text);
+    for (const id of entity.getDynamicPropertyIds().filter(id => id.includes(":chunk:")))
+        assert.ok(bytes(entity.getDynamicProperty(id)) <= 32767, `${id} is too large`);
+    assert.equal(ChunkedStorage.get(entity, "text"), text);
+});
+
+test("a write switches chunk sets and deletes the previous chunks", () => {
+    const entity = holder();
+    ChunkedStorage.set(entity, "value", "x".repeat(70000));
+    ChunkedStorage.set(entity, "value", "short");
+    assert.deepEqual(entity.getDynamicPropertyIds().filter(id => id.includes(":chunk:")), ["value:chunk:1:0"]);
+    assert.equal(ChunkedStorage.get(entity, "value"), "short");
+});
+
+test("an interrupted write keeps the previous value readable", () => {
+    const entity = holder();
+    ChunkedStorage.set(entity, "value", { version: 1 });
+    // Chunks of the next write are there, but not the header switching to them
+    entity.setDynamicProperty("value:chunk:1:0", JSON.stringify({ version: 2 }));
+    assert.deepEqual(ChunkedStorage.get(entity, "value"), { version: 1 });
+    assert.equal(ChunkedStorage.collectGarbage(entity), 1);
+    assert.deepEqual(entity.getDynamicPropertyIds().sort(), ["value", "value:chunk:0:0"]);
+});
+
+test("corrupted values throw", () => {
+    const entity = holder();
+    ChunkedStorage.set(entity, "value", "y".repeat(40000));
+    entity.setDynamicProperty("value:chunk:0:1", "z".repeat(8000));
+    assert.throws(() => ChunkedStorage.get(entity, "value"), /checksum mismatch/);
+    entity.setDynamicProperty("value:chunk:0:1", undefined);
+    assert.throws(() => ChunkedStorage.get(entity, "value"), /chunk 1 of 2 is missing/);
+});
+
+test("plain values written with setDynamicProperty are read", () => {
+    const entity = holder();
+    entity.setDynamicProperty("old", JSON.stringify([1, 2]));
+    entity.setDynamicProperty("name", "Steve");
+    entity.setDynamicProperty("count", 4);
+    assert.deepEqual(ChunkedStorage.get(entity, "old"), [1, 2]);
+    assert.equal(ChunkedStorage.get(entity, "name"), "Steve");
+    assert.equal(ChunkedStorage.get(entity, "count"), 4);
+    assert.equal(ChunkedStorage.isStorageProperty(entity, "old"), false);
+});
+
+test("delete removes the header and chunks", () => {
+    const entity = holder();
+    ChunkedStorage.set(entity, "value", "x".repeat(70000));
+    ChunkedStorage.set(entity, "other", 1);
+    ChunkedStorage.delete(entity, "value");
+    assert.equal(ChunkedStorage.has(entity, "value"), false);
+    assert.deepEqual(entity.getDynamicPropertyIds().sort(), ["other", "other:chunk:0:0"]);
+    assert.ok(entity.getDynamicPropertyIds().every(id => ChunkedStorage.isStorageProperty(entity, id)));
+});
+
+test("values that aren't JSON-serializable are rejected", () => {
+    const entity = holder();
+    assert.throws(() => ChunkedStorage.set(entity, "callback", () => {}), /not JSON-serializable/);
+    const loop = {};
+    loop.self = loop;
+    assert.throws(() => ChunkedStorage.set(entity, "loop", loop), TypeError);
+    assert.deepEqual(entity.getDynamicPropertyIds(), []);
+});
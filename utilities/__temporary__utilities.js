@@ -2,6 +2,7 @@
 // Useful functions for helping with creating scripts in minecraft bedrock.
 
 import { Player, Entity, Vector3, BlockPermutation } from "@minecraft/server";
+import { InventoryUtils } from "./inventory-utilities.js";
 
 /**
  * Some of these functions are NOT created by me.
@@ -290,6 +291,7 @@ export class Utility {
     /**
      * 
      * @param {Player} player 
+     * @param {EntityRaycastOptions} [options] Raycast options, such as `maxDistance`
      * @returns Entity ID
      * @author Gamer99
      * @description Gets The ID of the entity the player is looking at 
@@ -301,8 +303,8 @@ export class Utility {
         }
     })
      */
-    static getViewEntity(player) {//func3
-        for (const entity of player.getEntitiesFromViewDirection().map(entity => entity.entity)) {
+    static getViewEntity(player, options) {//func3
+        for (const entity of player.getEntitiesFromViewDirection(options).map(entity => entity.entity)) {
             return entity
         }
 
@@ -335,7 +337,7 @@ export class Utility {
      * @param {Player} player 
      * @param {number} amount 
      * @author Gamer99
-     * @description Increase Itemstack amount 
+     * @description Increase Itemstack amount, up to its max stack size
      * @example
      *   if (item.typeId === "minecraft:stick" ) {
            IncreaseAmoun(player,2)
@@ -345,8 +347,8 @@ export class Utility {
     static IncreaseAmount(player, amount) {//func5
         const inv = player.getComponent("inventory").container
         const item = inv.getItem(player.selectedSlotIndex)
-        if (item.amount < 64) {
-            item.amount += amount
+        if (item.amount < item.maxAmount) {
+            item.amount = Math.min(item.amount + amount, item.maxAmount)
             inv.setItem(player.selectedSlotIndex, item)
         }
 
@@ -383,13 +385,14 @@ export class Utility {
     /**
      * 
      * @param {Player} player 
-     * @returns block ID
+     * @param {BlockRaycastOptions} [options] Raycast options, such as `maxDistance`
+     * @returns block ID, or undefined if the player is not looking at a block
      * @description used to get the ID of the block the player is looking at
      * @author Gamer99 
      * 
      */
-    static GetblockInView(player) {//func7
-        return player.getBlockFromViewDirection().block
+    static GetblockInView(player, options) {//func7
+        return player.getBlockFromViewDirection(options)?.block
     };
     /**
      * 
@@ -521,7 +524,8 @@ export class Utility {
      * @param {ItemStack} item 
      * @param {number} amount 
      * @author Gamer99
-     * @description Add Item to Inventory
+     * @description Add Item to Inventory, dropping what doesn't fit at the player's feet
+     * @see InventoryUtils.giveItems to choose what happens to the items that don't fit
      */
     static Additem(player, item, amount) {
         /**
@@ -560,7 +564,7 @@ export class Utility {
 
     ]
         if (!armors.includes(item)) {
-            container.addItem(new ItemStack(`${item}`, amount))
+            InventoryUtils.giveItems(player, { item: `${item}`, amount })
 
         }
         if (item.includes("helmet")) {
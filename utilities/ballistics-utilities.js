@@ -0,0 +1,248 @@
+import { Entity, Player, Dimension } from "@minecraft/server";
+
+/**
+ * Physics of a launched projectile or entity. Units are blocks and ticks.
+ * Each tick the projectile moves by its velocity, then its velocity is multiplied by `1 - drag`,
+ * then `gravity` is removed from its vertical velocity.
+ * @typedef {Object} BallisticPhysics
+ * @property {number} [gravity=0.05] Vertical speed lost every tick. Arrows use 0.05, players and most mobs 0.08.
+ * @property {number} [drag=0.01] Fraction of the speed lost every tick. Arrows use 0.01, players 0.02.
+ */
+
+/**
+ * @typedef {Object} BallisticSolution
+ * @property {true} reachable
+ * @property {Vector3} velocity Launch velocity, in blocks per tick
+ * @property {number} pitch Launch pitch in degrees, negative upwards as in `entity.getRotation().x`
+ * @property {number} yaw Launch yaw in degrees, as in `entity.getRotation().y`
+ * @property {number} flightTicks Ticks until the target is hit
+ * @property {Vector3} aimPoint Where the target is hit, ahead of a moving target
+ */
+
+/**
+ * @typedef {{reachable: false, reason: "outOfRange" | "noConvergence"}} BallisticFailure
+ * `outOfRange` when the speed is too low to reach the target, `noConvergence` when a moving target can't be caught.
+ */
+
+/** Pitches tried when looking for a launch angle, in degrees, above the horizon */
+const MIN_ANGLE = -89.5, MAX_ANGLE = 89.5, ANGLE_SAMPLES = 72;
+
+/** Horizontal distance under which a target is considered right above or below */
+const VERTICAL_DISTANCE = 1e-3;
+
+/**
+ * Simulates a launch in the vertical plane and gets its height when it has travelled a horizontal distance.
+ * @param {number} speed
+ * @param {number} angle Radians above the horizon
+ * @param {number} distance Horizontal distance
+ * @param {Required<BallisticPhysics>} physics
+ * @param {number} maxTicks
+ * @returns {{height: number, ticks: number} | undefined} Undefined if the distance is never reached.
+ */
+function heightAtDistance(speed, angle, distance, { gravity, drag }, maxTicks) {
+    let x = 0, y = 0, vx = speed * Math.cos(angle), vy = speed * Math.sin(angle);
+    for (let tick = 1; tick <= maxTicks; tick++) {
+        const nextX = x + vx, nextY = y + vy;
+        if (nextX >= distance) {
+            const fraction = (distance - x) / (nextX - x);
+            return { height: y + (nextY - y) * fraction, ticks: tick - 1 + fraction };
+        }
+        x = nextX;
+        y = nextY;
+        vx *= 1 - drag;
+        vy = vy * (1 - drag) - gravity;
+    }
+    return undefined;
+}
+
+/**
+ * Finds the launch angles reaching a point, lowest first.
+ * @param {number} speed
+ * @param {number} distance Horizontal distance to the point
+ * @param {number} height Height of the point above the launch point
+ * @param {Required<BallisticPhysics>} physics
+ * @param {number} maxTicks
+ * @returns {{angle: number, ticks: number}[]}
+ */
+function findAngles(speed, distance, height, physics, maxTicks) {
+    const error = (degrees) => {
+        const reached = heightAtDistance(speed, degrees * Math.PI / 180, distance, physics, maxTicks);
+        return reached && { value: reached.height - height, ticks: reached.ticks };
+    };
+    const angles = [];
+    let previous = error(MIN_ANGLE), previousAngle = MIN_ANGLE;
+    for (let sample = 1; sample <= ANGLE_SAMPLES; sample++) {
+        const degrees = MIN_ANGLE + (MAX_ANGLE - MIN_ANGLE) * sample / ANGLE_SAMPLES;
+        const current = error(degrees);
+        if (previous && current && Math.sign(previous.value) !== Math.sign(current.value)) {
+            // Bisect between the two samples
+            let low = previousAngle, high = degrees, lowValue = previous.value, found = current;
+            for (let i = 0; i < 30; i++) {
+                const middle = (low + high) / 2;
+                const result = error(middle);
+                if (!result) break;
+                found = { ...result, angle: middle };
+                if (Math.sign(result.value) === Math.sign(lowValue)) {
+                    low = middle;
+                    lowValue = result.value;
+                } else {
+                    high = middle;
+                }
+            }
+            angles.push({ angle: found.angle ?? degrees, ticks: found.ticks });
+        }
+        previous = current;
+        previousAngle = degrees;
+    }
+    return angles;
+}
+
+/**
+ * Finds the flight time of a shot straight up or down.
+ * @param {number} speed
+ * @param {number} height Height of the target above the launch point
+ * @param {Required<BallisticPhysics>} physics
+ * @param {number} maxTicks
+ * @returns {{angle: number, ticks: number}[]} Empty if the target is too high.
+ */
+function verticalFlight(speed, height, { gravity, drag }, maxTicks) {
+    const direction = height >= 0 ? 1 : -1;
+    let y = 0, vy = speed * direction;
+    for (let tick = 1; tick <= maxTicks; tick++) {
+        const nextY = y + vy;
+        if ((nextY - height) * direction >= 0)
+            return [{ angle: 90 * direction, ticks: tick - 1 + (height - y) / (nextY - y) }];
+        if (vy * direction <= 0 && direction > 0) break;
+        y = nextY;
+        vy = vy * (1 - drag) - gravity;
+    }
+    return [];
+}
+
+/**
+ * Aiming for projectiles and launched entities, with gravity, drag and moving targets.
+ *
+ * @example
+ * import { world } from "@minecraft/server"
+ *
+ * const turret = world.getDimension("overworld").getEntities({ tags: ["turret"] })[0];
+ * const target = world.getPlayers()[0];
+ * const from = turret.getHeadLocation();
+ * const solution = Ballistics.solve(from, target, 1.5, { arc: "low" });
+ * if (solution.reachable) {
+ *  const arrow = turret.dimension.spawnEntity("minecraft:arrow", from);
+ *  Ballistics.launch(arrow, solution.velocity);
+ * }
+ */
+export class Ballistics {
+
+    /**
+     * Finds the launch velocity hitting a target.
+     * Moving targets are led: the aim point is where the target will be when the projectile gets there.
+     * @param {Vector3} from Launch location
+     * @param {Vector3 | Entity} target Location, or entity aimed at the middle of its body
+     * @param {number} speed Launch speed, in blocks per tick
+     * @param {BallisticPhysics & {arc?: "low" | "high", targetVelocity?: Vector3, maxTicks?: number}} [options]
+     * - `arc`: the flat, fast trajectory or the lobbed one. "low" by default.
+     * - `targetVelocity`: velocity of the target in blocks per tick. Taken from the target entity by default.
+     * - `maxTicks`: longest flight considered, 200 ticks by default.
+     * @returns {BallisticSolution | BallisticFailure}
+     * @throws If the speed is not a positive number.
+     */
+    static solve(from, target, speed, options = {}) {
+        if (!(speed > 0))
+            throw new Error("speed must be a positive number.");
+        const { arc = "low", gravity = 0.05, drag = 0.01, maxTicks = 200 } = options;
+        const physics = { gravity, drag };
+        let position = target, velocity = options.targetVelocity ?? { x: 0, y: 0, z: 0 };
+        if (target instanceof Entity) {
+            const feet = target.location, head = target.getHeadLocation();
+            position = { x: feet.x, y: (feet.y + head.y) / 2, z: feet.z };
+            velocity = options.targetVelocity ?? target.getVelocity();
+        }
+        const moving = velocity.x !== 0 || velocity.y !== 0 || velocity.z !== 0;
+
+        let ticks = 0, solution, converged = !moving;
+        // Lead a moving target: aim where it will be after the previous flight time, until the flight time settles
+        for (let iteration = 0; iteration < (moving ? 10 : 1); iteration++) {
+            const aimPoint = { x: position.x + velocity.x * ticks, y: position.y + velocity.y * ticks, z: position.z + velocity.z * ticks };
+            const dx = aimPoint.x - from.x, dz = aimPoint.z - from.z;
+            const distance = Math.hypot(dx, dz);
+            const angles = distance < VERTICAL_DISTANCE
+                ? verticalFlight(speed, aimPoint.y - from.y, physics, maxTicks)
+                : findAngles(speed, distance, aimPoint.y - from.y, physics, maxTicks);
+            if (angles.length === 0)
+                return { reachable: false, reason: "outOfRange" };
+            const { angle, ticks: flightTicks } = arc === "high" ? angles[angles.length - 1] : angles[0];
+            const radians = angle * Math.PI / 180;
+            const horizontal = speed * Math.cos(radians);
+            solution = {
+                reachable: true,
+                velocity: distance < VERTICAL_DISTANCE
+                    ? { x: 0, y: speed * Math.sign(angle), z: 0 }
+                    : { x: dx / distance * horizontal, y: speed * Math.sin(radians), z: dz / distance * horizontal },
+                pitch: -angle,
+                yaw: Math.atan2(-dx, dz) * 180 / Math.PI,
+                flightTicks,
+                aimPoint
+            };
+            if (Math.abs(flightTicks - ticks) < 0.05) {
+                converged = true;
+                break;
+            }
+            ticks = flightTicks;
+        }
+        return converged ? solution : { reachable: false, reason: "noConvergence" };
+    }
+
+    /**
+     * Gets the locations a projectile goes through, one per tick, to preview its trajectory.
+     * @param {Vector3} from Launch location
+     * @param {Vector3} velocity Launch velocity
+     * @param {BallisticPhysics & {ticks?: number, dimension?: Dimension}} [options]
+     * - `ticks`: number of ticks simulated, 100 by default.
+     * - `dimension`: stop at the first solid block.
+     * @returns {Vector3[]} The launch location, then one location per tick.
+     * @example
+     * import { Pathfinder } from "./pathfinding-utilities.js"
+     *
+     * const points = Ballistics.trajectory(from, solution.velocity, { dimension: turret.dimension });
+     * Pathfinder.drawPath(turret.dimension, points, { particle: "minecraft:basic_flame_particle", height: 0 });
+     */
+    static trajectory(from, velocity, options = {}) {
+        const { gravity = 0.05, drag = 0.01, ticks = 100, dimension } = options;
+        const points = [{ ...from }];
+        let position = { ...from }, current = { ...velocity };
+        for (let tick = 0; tick < ticks; tick++) {
+            position = { x: position.x + current.x, y: position.y + current.y, z: position.z + current.z };
+            points.push(position);
+            if (dimension) {
+                let block;
+                try {
+                    block = dimension.getBlock(position);
+                } catch { }
+                if (!block || block.isSolid) break;
+            }
+            current = { x: current.x * (1 - drag), y: current.y * (1 - drag) - gravity, z: current.z * (1 - drag) };
+        }
+        return points;
+    }
+
+    /**
+     * Launches an entity with a velocity. Projectiles are shot, players are knocked back and other entities get an impulse.
+     * @param {Entity} entity
+     * @param {Vector3} velocity Velocity in blocks per tick, e.g. from {@link Ballistics.solve}
+     */
+    static launch(entity, velocity) {
+        const projectile = entity.getComponent("projectile");
+        if (projectile) {
+            projectile.shoot(velocity);
+        } else if (entity instanceof Player) {
+            const strength = Math.hypot(velocity.x, velocity.z);
+            entity.applyKnockback(strength ? velocity.x / strength : 0, strength ? velocity.z / strength : 0, strength, velocity.y);
+        } else {
+            entity.clearVelocity();
+            entity.applyImpulse(velocity);
+        }
+    }
+}
@@ -0,0 +1,245 @@
+import { Direction, Entity } from "@minecraft/server";
+
+/**
+ * Names of the 16 compass points, clockwise from north.
+ */
+const POINTS = [
+    ["north", "N"], ["north-northeast", "NNE"], ["northeast", "NE"], ["east-northeast", "ENE"],
+    ["east", "E"], ["east-southeast", "ESE"], ["southeast", "SE"], ["south-southeast", "SSE"],
+    ["south", "S"], ["south-southwest", "SSW"], ["southwest", "SW"], ["west-southwest", "WSW"],
+    ["west", "W"], ["west-northwest", "WNW"], ["northwest", "NW"], ["north-northwest", "NNW"]
+];
+
+/**
+ * Block states used by rotatable blocks, for each horizontal direction.
+ * - `minecraft:cardinal_direction` and `minecraft:block_face`: most newer blocks
+ * - `direction`: fence gates, pumpkins, beds, repeaters...
+ * - `weirdo_direction`: stairs
+ * - `facing_direction`: chests, furnaces, dispensers...
+ * - `pillar_axis`: logs, pillars, basalt...
+ */
+const ROTATION_STATES = {
+    [Direction.North]: { cardinal: "north", direction: 2, weirdo: 3, facing: 2, axis: "z" },
+    [Direction.South]: { cardinal: "south", direction: 0, weirdo: 2, facing: 3, axis: "z" },
+    [Direction.West]: { cardinal: "west", direction: 1, weirdo: 1, facing: 4, axis: "x" },
+    [Direction.East]: { cardinal: "east", direction: 3, weirdo: 0, facing: 5, axis: "x" },
+    [Direction.Up]: { cardinal: undefined, direction: undefined, weirdo: undefined, facing: 1, axis: "y" },
+    [Direction.Down]: { cardinal: undefined, direction: undefined, weirdo: undefined, facing: 0, axis: "y" }
+};
+
+const OPPOSITES = {
+    [Direction.North]: Direction.South,
+    [Direction.South]: Direction.North,
+    [Direction.West]: Direction.East,
+    [Direction.East]: Direction.West,
+    [Direction.Up]: Direction.Down,
+    [Direction.Down]: Direction.Up
+};
+
+/**
+ * Headings, facing vectors and block rotations.
+ *
+ * Minecraft yaw is 0 when facing south (+Z), 90 facing west (-X), 180 facing north (-Z) and -90 facing east (+X).
+ * Pitch is negative when looking up and positive when looking down.
+ * Bearings are compass degrees: 0 is north, 90 east, 180 south and 270 west.
+ */
+export class CompassUtils {
+
+    /**
+     * Converts a yaw to a compass bearing.
+     * @param {number} yaw Yaw in degrees, as in `entity.getRotation().y`
+     * @returns {number} Bearing in degrees, from 0 (north) to 360 excluded, clockwise.
+     * @example
+     * CompassUtils.toBearing(0); // 180, facing south
+     */
+    static toBearing(yaw) {
+        return (((yaw + 180) % 360) + 360) % 360;
+    }
+
+    /**
+     * Converts a compass bearing to a yaw.
+     * @param {number} bearing Bearing in degrees, 0 is north
+     * @returns {number} Yaw in degrees, from -180 to 180 excluded.
+     */
+    static toYaw(bearing) {
+        return (((bearing % 360) + 360) % 360) - 180;
+    }
+
+    /**
+     * Gets the compass heading of a yaw, with 4, 8 or 16 points.
+     * @param {number} yaw Yaw in degrees, as in `entity.getRotation().y`
+     * @param {4 | 8 | 16} [points=8] Number of compass points
+     * @returns {{name: string, abbreviation: string, index: number, bearing: number}}
+     * `index` is the position of the point clockwise from north, `bearing` is the exact bearing of the yaw.
+     * @throws If points is not 4, 8 or 16.
+     * @example
+     * import { world } from "@minecraft/server"
+     *
+     * const player = world.getPlayers()[0];
+     * const { name } = CompassUtils.getHeading(player.getRotation().y, 16);
+     * player.sendMessage(`You are facing ${name}`); // You are facing north-northwest
+     */
+    static getHeading(yaw, points = 8) {
+        if (points !== 4 && points !== 8 && points !== 16)
+            throw new Error("points must be 4, 8 or 16.");
+        const bearing = CompassUtils.toBearing(yaw);
+        const index = Math.round(bearing / (360 / points)) % points;
+        const [name, abbreviation] = POINTS[index * (16 / points)];
+        return { name, abbreviation, index, bearing };
+    }
+
+    /**
+     * Gets the compass heading an entity is facing.
+     * @param {Entity} entity
+     * @param {4 | 8 | 16} [points=8] Number of compass points
+     * @returns {{name: string, abbreviation: string, index: number, bearing: number}}
+     */
+    static getEntityHeading(entity, points = 8) {
+        return CompassUtils.getHeading(entity.getRotation().y, points);
+    }
+
+    /**
+     * Converts a yaw and a pitch to a unit facing vector, the same as `entity.getViewDirection()`.
+     * @param {number} yaw Yaw in degrees
+     * @param {number} [pitch=0] Pitch in degrees
+     * @returns {Vector3}
+     * @example
+     * CompassUtils.toFacingVector(90, 0); // { x: -1, y: 0, z: 0 }, facing west
+     */
+    static toFacingVector(yaw, pitch = 0) {
+        const yawRad = yaw * Math.PI / 180, pitchRad = pitch * Math.PI / 180;
+        return {
+            x: -Math.sin(yawRad) * Math.cos(pitchRad),
+            y: -Math.sin(pitchRad),
+            z: Math.cos(yawRad) * Math.cos(pitchRad)
+        };
+    }
+
+    /**
+     * Converts a facing vector to a rotation, the same as `entity.getRotation()`.
+     * @param {Vector3} vector Any non-zero vector
+     * @returns {Vector2} `x` is the pitch and `y` the yaw, in degrees.
+     * @throws If the vector is zero.
+     */
+    static fromFacingVector({ x, y, z }) {
+        const length = Math.sqrt(x * x + y * y + z * z);
+        if (!length)
+            throw new Error("Cannot get the rotation of a zero vector.");
+        return {
+            x: -Math.asin(y / length) * 180 / Math.PI,
+            y: Math.atan2(-x, z) * 180 / Math.PI
+        };
+    }
+
+    /**
+     * Gets the block face a rotation points to.
+     * @param {number} yaw Yaw in degrees
+     * @param {number} [pitch=0] Pitch in degrees
+     * @param {number} [verticalCutoff=45] Pitch above which the face is `Up` or `Down` instead of a horizontal one.
+     * @returns {Direction}
+     * @example
+     * import { world } from "@minecraft/server"
+     *
+     * const player = world.getPlayers()[0];
+     * const { x: pitch, y: yaw } = player.getRotation();
+     * CompassUtils.getBlockFace(yaw, pitch); // "North"
+     */
+    static getBlockFace(yaw, pitch = 0, verticalCutoff = 45) {
+        if (pitch > verticalCutoff) return Direction.Down;
+        if (pitch < -verticalCutoff) return Direction.Up;
+        return [Direction.North, Direction.East, Direction.South, Direction.West][CompassUtils.getHeading(yaw, 4).index];
+    }
+
+    /**
+     * @param {Direction} direction
+     * @returns {Direction} The opposite direction.
+     */
+    static getOpposite(direction) {
+        return OPPOSITES[direction];
+    }
+
+    /**
+     * Gets the values of the rotation block states pointing to a direction.
+     * Horizontal-only states are undefined for `Up` and `Down`.
+     * @param {Direction} direction
+     * @returns {{"minecraft:cardinal_direction": string | undefined, "minecraft:block_face": string, "direction": number | undefined, "weirdo_direction": number | undefined, "facing_direction": number, "pillar_axis": string}}
+     * @example
+     * import { BlockPermutation } from "@minecraft/server"
+     *
+     * const states = CompassUtils.getRotationStates(Direction.East);
+     * block.setPermutation(BlockPermutation.resolve("minecraft:oak_stairs", { weirdo_direction: states.weirdo_direction }));
+     */
+    static getRotationStates(direction) {
+        const states = ROTATION_STATES[direction];
+        if (!states)
+            throw new Error(`Unknown direction "${direction}".`);
+        return {
+            "minecraft:cardinal_direction": states.cardinal,
+            "minecraft:block_face": direction.toLowerCase(),
+            "direction": states.direction,
+            "weirdo_direction": states.weirdo,
+            "facing_direction": states.facing,
+            "pillar_axis": states.axis
+        };
+    }
+
+    /**
+     * Gets the rotation block states a block placed by an entity would have.
+     * @param {Entity} entity Entity placing the block
+     * @param {Object} [options]
+     * @param {boolean} [options.facePlayer=false] Turn the block towards the entity, like furnaces and chests, instead of away from it, like stairs.
+     * @param {boolean} [options.horizontal=true] Ignore the pitch and always use a horizontal direction.
+     * @returns {ReturnType<typeof CompassUtils.getRotationStates>}
+     * @example
+     * const states = CompassUtils.getPlacementStates(player, { facePlayer: true });
+     * block.setPermutation(BlockPermutation.resolve("minecraft:furnace", { "minecraft:cardinal_direction": states["minecraft:cardinal_direction"] }));
+     */
+    static getPlacementStates(entity, { facePlayer = false, horizontal = true } = {}) {
+        const { x: pitch, y: yaw } = entity.getRotation();
+        const face = CompassUtils.getBlockFace(yaw, horizontal ? 0 : pitch);
+        return CompassUtils.getRotationStates(facePlayer ? CompassUtils.getOpposite(face) : face);
+    }
+
+    /**
+     * Formats a heading for display, e.g. in an action bar.
+     * @param {number} yaw Yaw in degrees
+     * @param {Object} [options]
+     * @param {4 | 8 | 16} [options.points=8] Number of compass points
+     * @param {boolean} [options.abbreviate=true] Use "NE" instead of "northeast"
+     * @param {boolean} [options.degrees=true] Append the bearing in degrees
+     * @returns {string}
+     * @example
+     * CompassUtils.formatHeading(-135); // "NE 45°"
+     */
+    static formatHeading(yaw, { points = 8, abbreviate = true, degrees = true } = {}) {
+        const { name, abbreviation, bearing } = CompassUtils.getHeading(yaw, points);
+        const text = abbreviate ? abbreviation : name.charAt(0).toUpperCase() + name.slice(1);
+        return degrees ? `${text} ${Math.round(bearing) % 360}°` : text;
+    }
+
+    /**
+     * Draws a compass strip centered on a yaw, as seen in HUDs.
+     * @param {number} yaw Yaw in degrees
+     * @param {Object} [options]
+     * @param {number} [options.width=31] Number of characters of the strip
+     * @param {number} [options.fov=180] Degrees covered by the strip
+     * @param {string} [options.fill="·"] Character drawn between the points
+     * @returns {string}
+     * @example
+     * player.onScreenDisplay.setActionBar(CompassUtils.formatCompassBar(player.getRotation().y));
+     */
+    static formatCompassBar(yaw, { width = 31, fov = 180, fill = "·" } = {}) {
+        const bearing = CompassUtils.toBearing(yaw);
+        const chars = Array(width).fill(fill);
+        const degreesPerChar = fov / width;
+        for (let index = 0; index < 8; index++) {
+            const abbreviation = POINTS[index * 2][1];
+            const offset = ((index * 45 - bearing + 540) % 360) - 180;
+            const column = Math.round(width / 2 - 0.5 + offset / degreesPerChar - (abbreviation.length - 1) / 2);
+            if (column < 0 || column + abbreviation.length > width) continue;
+            for (let i = 0; i < abbreviation.length; i++)
+                chars[column + i] = abbreviation[i];
+        }
+        return chars.join("");
+    }
+}
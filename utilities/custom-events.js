@@ -1,154 +1,1706 @@
-import { world, system, Player } from "@minecraft/server"
+import { world, system, Player, Entity, ItemStack, Container, Dimension, EquipmentSlot, Block, Direction } from "@minecraft/server"
+import { Utility } from "./__temporary__utilities.js"
+import { EQUIPMENT_SLOTS } from "./itemstack-utilities.js"
+
+/**
+ * Handle returned by every detector in {@link CustomEvents} and by {@link EventBus.on}.
+ * @typedef {Object} EventSubscription
+ * @property {() => void} unsubscribe Stops the listener. Calling it more than once does nothing.
+ */
+
+/**
+ * A small publish/subscribe bus where each channel can be backed by a single source.
+ *
+ * The source of a channel (a world event subscription, an interval...) is only started when the first
+ * listener subscribes, and is stopped again once the last listener unsubscribes. That way any number of
+ * listeners can share one world subscription or one interval.
+ *
+ * @example
+ * const bus = new EventBus();
+ * bus.define("tick", (emit) => {
+ *  const id = system.runInterval(() => emit(system.currentTick));
+ *  return () => system.clearRun(id);
+ * });
+ * const subscription = bus.on("tick", (tick) => console.log(tick));
+ * subscription.unsubscribe(); // The interval is cleared, no other listener is left
+ */
+export class EventBus {
+    constructor() {
+        /** @private @type {Map<string, (emit: (data: any) => void) => (() => void)>} */
+        this.sources = new Map();
+        /** @private @type {Map<string, Set<(data: any) => void>>} */
+        this.listeners = new Map();
+        /** @private @type {Map<string, () => void>} */
+        this.running = new Map();
+    }
+
+    /**
+     * Defines the source of a channel.
+     * @param {string} channel Name of the channel
+     * @param {(emit: (data: any) => void) => (() => void)} start Starts the source and returns a function that stops it.
+     * @throws If the channel already has a source.
+     */
+    define(channel, start) {
+        if (this.sources.has(channel))
+            throw new Error(`Channel "${channel}" already has a source.`);
+        this.sources.set(channel, start);
+    }
+
+    /**
+     * Subscribes to a channel, starting its source if this is the first listener.
+     * @param {string} channel Name of the channel
+     * @param {(data: any) => void} listener
+     * @returns {EventSubscription}
+     * @throws If listener is not a function.
+     */
+    on(channel, listener) {
+        if (typeof listener !== "function")
+            throw new Error("Listener must be a function.");
+        let listeners = this.listeners.get(channel);
+        if (!listeners)
+            this.listeners.set(channel, listeners = new Set());
+        // Wrapped so the same function can be subscribed more than once
+        const entry = (data) => listener(data);
+        listeners.add(entry);
+        const start = this.sources.get(channel);
+        if (start && !this.running.has(channel))
+            this.running.set(channel, start((data) => this.emit(channel, data)));
+
+        let active = true;
+        return {
+            unsubscribe: () => {
+                if (!active) return;
+                active = false;
+                listeners.delete(entry);
+                if (listeners.size > 0) return;
+                this.listeners.delete(channel);
+                const stop = this.running.get(channel);
+                this.running.delete(channel);
+                stop?.();
+            }
+        };
+    }
+
+    /**
+     * Calls every listener of a channel. An error thrown by one listener does not stop the others.
+     * @param {string} channel Name of the channel
+     * @param {any} data Data passed to the listeners
+     */
+    emit(channel, data) {
+        const listeners = this.listeners.get(channel);
+        if (!listeners) return;
+        for (const listener of [...listeners]) {
+            try {
+                listener(data);
+            } catch (error) {
+                console.error(`Error in a "${channel}" listener:`, error);
+            }
+        }
+    }
+
+    /**
+     * @param {string} channel Name of the channel
+     * @returns {number} Number of listeners currently subscribed to the channel.
+     */
+    listenerCount(channel) {
+        return this.listeners.get(channel)?.size ?? 0;
+    }
+}
+
+/**
+ * Subscribes to a world/system event signal and returns the function that unsubscribes it.
+ * @param {{subscribe: Function, unsubscribe: Function}} signal
+ * @param {Function} callback
+ * @returns {() => void}
+ */
+function listen(signal, callback) {
+    signal.subscribe(callback);
+    return () => signal.unsubscribe(callback);
+}
+
+/**
+ * Runs a callback every tick and returns the function that stops it.
+ * @param {() => void} callback
+ * @param {number} [interval=1]
+ * @returns {() => void}
+ */
+function every(callback, interval = 1) {
+    const id = system.runInterval(callback, interval);
+    return () => system.clearRun(id);
+}
+
+const bus = new EventBus();
+
+bus.define("playerLeave", (emit) => listen(world.afterEvents.playerLeave, emit));
+
+bus.define("playerTick", (emit) => every(() => emit(world.getAllPlayers())));
+
+bus.define("itemStartUse", (emit) => listen(world.afterEvents.itemStartUse, emit));
+
+bus.define("itemStopUse", (emit) => listen(world.afterEvents.itemStopUse, emit));
+
+bus.define("itemCompleteUse", (emit) => listen(world.afterEvents.itemCompleteUse, emit));
+
+bus.define("playerInteract", (emit) => {
+    const fromPlayer = (entity) => entity instanceof Player && emit(entity);
+    const stops = [
+        listen(world.afterEvents.playerInteractWithBlock, ({ player }) => emit(player)),
+        listen(world.afterEvents.playerInteractWithEntity, ({ player }) => emit(player)),
+        listen(world.afterEvents.playerBreakBlock, ({ player }) => emit(player)),
+        listen(world.afterEvents.playerPlaceBlock, ({ player }) => emit(player)),
+        listen(world.afterEvents.itemUse, ({ source }) => fromPlayer(source)),
+        listen(world.afterEvents.entityHitEntity, ({ damagingEntity }) => fromPlayer(damagingEntity)),
+        listen(world.afterEvents.entityHitBlock, ({ damagingEntity }) => fromPlayer(damagingEntity))
+    ];
+    return () => stops.forEach(stop => stop());
+});
+
+// chatSend is only available with the Beta APIs
+bus.define("chatSend", (emit) => world.afterEvents.chatSend ? listen(world.afterEvents.chatSend, emit) : () => { });
+
+/**
+ * Per-player state kept outside of the Player object, keyed by player id.
+ * A state is created the first time it is requested and is dropped automatically when the player leaves,
+ * so it survives the Player object being recreated but does not leak.
+ * @template T
+ *
+ * @example
+ * const store = new PlayerStateStore(() => ({ kills: 0 }));
+ * store.get(player).kills++;
+ * store.dispose(); // Stops tracking leaving players and clears every state
+ */
+export class PlayerStateStore {
+    /**
+     * @param {(player: Player) => T} create Creates the initial state of a player.
+     */
+    constructor(create) {
+        /** @private */
+        this.create = create;
+        /** @private @type {Map<string, T>} */
+        this.states = new Map();
+        /** @private */
+        this.subscription = bus.on("playerLeave", ({ playerId }) => this.states.delete(playerId));
+    }
+
+    /**
+     * @returns {number} Number of players with a state.
+     */
+    get size() {
+        return this.states.size;
+    }
+
+    /**
+     * Gets the state of a player, creating it if needed.
+     * @param {Player} player
+     * @returns {T}
+     */
+    get(player) {
+        let state = this.states.get(player.id);
+        if (state === undefined)
+            this.states.set(player.id, state = this.create(player));
+        return state;
+    }
+
+    /**
+     * Gets the state of a player without creating it.
+     * @param {Player} player
+     * @returns {T | undefined}
+     */
+    peek(player) {
+        return this.states.get(player.id);
+    }
+
+    /**
+     * Replaces the state of a player.
+     * @param {Player} player
+     * @param {T} state
+     */
+    set(player, state) {
+        this.states.set(player.id, state);
+    }
+
+    /**
+     * @param {Player} player
+     * @returns {boolean} True if the player has a state.
+     */
+    has(player) {
+        return this.states.has(player.id);
+    }
+
+    /**
+     * Removes the state of a player.
+     * @param {Player} player
+     */
+    delete(player) {
+        this.states.delete(player.id);
+    }
+
+    /**
+     * Removes the state of every player, they are created again when next requested.
+     */
+    clear() {
+        this.states.clear();
+    }
+
+    /**
+     * Clears every state and stops listening for leaving players.
+     */
+    dispose() {
+        this.subscription.unsubscribe();
+        this.states.clear();
+    }
+}
+
+/**
+ * Combines several subscriptions into one handle, which also disposes the given stores.
+ * @param {EventSubscription[]} subscriptions
+ * @param {PlayerStateStore[]} [stores]
+ * @returns {EventSubscription}
+ */
+function combine(subscriptions, stores = []) {
+    return {
+        unsubscribe: () => {
+            subscriptions.forEach(subscription => subscription.unsubscribe());
+            stores.forEach(store => store.dispose());
+        }
+    };
+}
+
+/**
+ * Checks the game-mode and tag filters shared by the player detectors.
+ * @param {Player} player
+ * @param {{gameModes?: string[], tags?: string[]}} filters
+ * @returns {boolean}
+ */
+function matchesPlayer(player, { gameModes, tags }) {
+    if (gameModes && !gameModes.includes(player.getGameMode())) return false;
+    if (tags && !tags.every(tag => player.hasTag(tag))) return false;
+    return true;
+}
+
+/**
+ * A change in one inventory slot.
+ * @typedef {Object} SlotChange
+ * @property {number | EquipmentSlot} slot Index of the container slot, or the equipment slot
+ * @property {ItemStack | undefined} before Item in the slot before the change
+ * @property {ItemStack | undefined} after Item in the slot after the change
+ * @property {number} delta Change in amount. When the slot now holds a different item type, this is the amount of the new item.
+ */
+
+/**
+ * Copies every slot of a container so it can be diffed later.
+ * @param {Container} container
+ * @returns {(ItemStack | undefined)[]}
+ */
+function snapshotContainer(container) {
+    const slots = new Array(container.size);
+    for (let i = 0; i < container.size; i++)
+        slots[i] = container.getItem(i);
+    return slots;
+}
+
+/**
+ * Copies the equipment of an entity so it can be diffed later.
+ * @param {Entity} entity
+ * @returns {Record<string, ItemStack | undefined>}
+ */
+function snapshotEquipment(entity) {
+    const equippable = entity.getComponent("equippable");
+    const slots = {};
+    for (const slot of EQUIPMENT_SLOTS)
+        slots[slot] = equippable?.getEquipment(slot);
+    return slots;
+}
+
+/**
+ * Compares two slots by item type and amount only, which is all the item detectors need.
+ * @param {ItemStack | undefined} a
+ * @param {ItemStack | undefined} b
+ * @returns {boolean}
+ */
+function sameTypeAndAmount(a, b) {
+    return a?.typeId === b?.typeId && a?.amount === b?.amount;
+}
+
+/**
+ * Compares two slots by item type, amount, name, lore and durability.
+ * @param {ItemStack | undefined} a
+ * @param {ItemStack | undefined} b
+ * @returns {boolean}
+ */
+function sameItem(a, b) {
+    if (!sameTypeAndAmount(a, b)) return false;
+    if (!a) return true;
+    return a.nameTag === b.nameTag
+        && a.getLore().join("\n") === b.getLore().join("\n")
+        && a.getComponent("durability")?.damage === b.getComponent("durability")?.damage;
+}
+
+/**
+ * Compares two snapshots slot by slot. Works with container snapshots (arrays) and equipment snapshots (objects).
+ * @param {(ItemStack | undefined)[] | Record<string, ItemStack | undefined>} before
+ * @param {(ItemStack | undefined)[] | Record<string, ItemStack | undefined>} after
+ * @param {(a: ItemStack | undefined, b: ItemStack | undefined) => boolean} [same] Tells if two slots hold the same item
+ * @returns {SlotChange[]}
+ */
+function diffSlots(before, after, same = sameTypeAndAmount) {
+    const changes = [];
+    const slots = Array.isArray(after) ? after.keys() : Object.keys(after);
+    for (const slot of slots) {
+        const a = before[slot], b = after[slot];
+        if (same(a, b)) continue;
+        const delta = a && b && a.typeId !== b.typeId
+            ? b.amount
+            : (b?.amount ?? 0) - (a?.amount ?? 0);
+        changes.push({ slot, before: a, after: b, delta });
+    }
+    return changes;
+}
+
+/**
+ * Reads the item stack of an item entity, or undefined if the entity is gone.
+ * @param {Entity} entity
+ * @returns {ItemStack | undefined}
+ */
+function readItemEntity(entity) {
+    try {
+        return entity.getComponent("item")?.itemStack;
+    } catch {
+        return undefined;
+    }
+}
+
+/** Distance from a player within which item entities are watched for pickups. */
+const PICKUP_WATCH_RANGE = 3;
+
+bus.define("playerPickupItem", (emit) => {
+    // Inventory of every player that had item entities nearby on the previous tick
+    /** @type {PlayerStateStore<(ItemStack | undefined)[]>} */
+    const snapshots = new PlayerStateStore(() => []);
+    /** @type {Map<string, {entity: Entity, itemStack: ItemStack, location: Vector3, players: Player[]}>} */
+    let watched = new Map();
+
+    const stop = every(() => {
+        const players = world.getAllPlayers();
+        /** @type {Map<string, (ItemStack | undefined)[]>} */
+        const current = new Map();
+        /** @type {Map<string, SlotChange[]>} Slots that gained items since the previous tick, per player */
+        const gains = new Map();
+        for (const player of players) {
+            const before = snapshots.peek(player);
+            const container = player.getComponent("inventory")?.container;
+            if (!before || !container) continue;
+            const after = snapshotContainer(container);
+            current.set(player.id, after);
+            gains.set(player.id, diffSlots(before, after).filter(change => change.delta > 0));
+        }
+
+        for (const [id, tracked] of watched) {
+            const now = readItemEntity(tracked.entity);
+            const consumed = tracked.itemStack.amount - (now?.amount ?? 0);
+            if (consumed <= 0) continue;
+            // Candidates that gained this item type, whoever gained the whole amount and is closest first
+            const candidates = tracked.players
+                .map(player => {
+                    const slots = (gains.get(player.id) ?? []).filter(change => change.after.typeId === tracked.itemStack.typeId && change.delta > 0);
+                    const gained = slots.reduce((sum, change) => sum + change.delta, 0);
+                    const dx = player.location.x - tracked.location.x, dy = player.location.y - tracked.location.y, dz = player.location.z - tracked.location.z;
+                    return { player, slots, gained, distance: dx * dx + dy * dy + dz * dz };
+                })
+                .filter(candidate => candidate.gained > 0)
+                .sort((a, b) => (b.gained >= consumed) - (a.gained >= consumed) || a.distance - b.distance);
+            const winner = candidates[0];
+            if (!winner) continue;
+            // Take the consumed amount out of the winner's gains so it cannot be reported twice
+            let remaining = consumed;
+            const slots = [];
+            for (const change of winner.slots) {
+                if (remaining <= 0) break;
+                const taken = Math.min(change.delta, remaining);
+                slots.push({ ...change, delta: taken });
+                change.delta -= taken;
+                remaining -= taken;
+            }
+            const pickedItem = tracked.itemStack.clone();
+            pickedItem.amount = consumed - remaining;
+            emit({
+                player: winner.player,
+                pickedItem,
+                amount: pickedItem.amount,
+                itemEntity: tracked.entity,
+                itemEntityId: id,
+                slots,
+                partial: now !== undefined
+            });
+        }
+
+        watched = new Map();
+        for (const player of players) {
+            const items = player.dimension.getEntities({
+                type: "minecraft:item",
+                location: player.location,
+                maxDistance: PICKUP_WATCH_RANGE
+            });
+            const container = player.getComponent("inventory")?.container;
+            if (items.length === 0 || !container) {
+                snapshots.delete(player);
+                continue;
+            }
+            snapshots.set(player, current.get(player.id) ?? snapshotContainer(container));
+            for (const entity of items) {
+                const itemStack = readItemEntity(entity);
+                if (!itemStack) continue;
+                const tracked = watched.get(entity.id);
+                if (tracked) tracked.players.push(player);
+                else watched.set(entity.id, { entity, itemStack, location: entity.location, players: [player] });
+            }
+        }
+    });
+    return () => {
+        stop();
+        snapshots.dispose();
+    };
+});
+
+/** Distance from a spawned item entity within which players are considered as its dropper. */
+const DROP_SEARCH_RANGE = 4;
+
+bus.define("playerDropItem", (emit) => {
+    /** @type {PlayerStateStore<{slots: (ItemStack | undefined)[], equipment: Record<string, ItemStack | undefined>}>} */
+    const snapshots = new PlayerStateStore(() => ({ slots: [], equipment: {} }));
+    /** @type {Entity[]} Item entities spawned since the last tick */
+    let spawned = [];
+    /** @type {Set<string>} Players that died since the last tick */
+    let died = new Set();
+    /** @type {{dimension: Dimension, location: Vector3, player: Player}[]} Containers broken since the last tick */
+    let brokenContainers = [];
+
+    const stopSpawn = listen(world.afterEvents.entitySpawn, ({ entity, cause }) => {
+        // Items of a chunk being loaded weren't just dropped
+        if (cause !== "Loaded" && entity.typeId === "minecraft:item") spawned.push(entity);
+    });
+    const stopDie = listen(world.afterEvents.entityDie, ({ deadEntity }) => {
+        if (deadEntity instanceof Player) died.add(deadEntity.id);
+    });
+    const stopBreak = listen(world.beforeEvents.playerBreakBlock, ({ block, player }) => {
+        if (block.getComponent("inventory"))
+            brokenContainers.push({ dimension: block.dimension, location: block.center(), player });
+    });
+
+    const stopTick = every(() => {
+        const players = world.getAllPlayers();
+        /** @type {Map<string, {slot: number | EquipmentSlot, typeId: string, amount: number}[]>} Items lost since the previous tick, per player and slot */
+        const losses = new Map();
+        for (const player of players) {
+            const container = player.getComponent("inventory")?.container;
+            if (!container) continue;
+            const after = { slots: snapshotContainer(container), equipment: snapshotEquipment(player) };
+            const before = snapshots.peek(player);
+            snapshots.set(player, after);
+            if (!before || spawned.length === 0) continue;
+            losses.set(player.id, [
+                ...diffSlots(before.slots, after.slots),
+                ...diffSlots(before.equipment, after.equipment)
+            ]
+                .filter(({ before }) => before)
+                .map(({ slot, before, after }) => ({
+                    slot,
+                    typeId: before.typeId,
+                    amount: after?.typeId === before.typeId ? before.amount - after.amount : before.amount
+                }))
+                .filter(loss => loss.amount > 0));
+        }
+
+        for (const entity of spawned) {
+            const droppedItem = readItemEntity(entity);
+            if (!droppedItem) continue;
+            const { location, dimension } = entity;
+            const distance = (other) => Math.hypot(other.x - location.x, other.y - location.y, other.z - location.z);
+            // Candidates that lost this item type, whoever lost exactly this amount from one slot and is closest first
+            const candidates = players
+                .filter(player => player.dimension.id === dimension.id && distance(player.location) <= DROP_SEARCH_RANGE)
+                .flatMap(player => (losses.get(player.id) ?? [])
+                    .filter(loss => loss.typeId === droppedItem.typeId && loss.amount > 0)
+                    .map(loss => ({ player, loss, exact: loss.amount === droppedItem.amount, distance: distance(player.location) })))
+                .sort((a, b) => b.exact - a.exact || a.distance - b.distance);
+            const match = candidates[0];
+            if (match) {
+                const { player, loss } = match;
+                // Take the dropped amount out of the slot's loss so it cannot be matched twice
+                loss.amount -= Math.min(droppedItem.amount, loss.amount);
+                const cause = died.has(player.id) ? "death" : match.exact ? "manual" : "unknown";
+                const event = { player, droppedItem, itemEntity: entity, slot: loss.slot, cause, cancel: false };
+                emit(event);
+                if (event.cancel) returnToSlot(player, loss.slot, droppedItem, entity);
+                continue;
+            }
+            const container = brokenContainers.find(broken => broken.dimension.id === dimension.id && distance(broken.location) <= 1.5);
+            if (container)
+                emit({ player: container.player, droppedItem, itemEntity: entity, slot: undefined, cause: "container", cancel: false });
+        }
+        spawned = [];
+        died = new Set();
+        brokenContainers = [];
+    });
+    return () => {
+        stopSpawn();
+        stopDie();
+        stopBreak();
+        stopTick();
+        snapshots.dispose();
+    };
+});
+
+/**
+ * Puts a dropped item back into the slot it came from and removes its item entity.
+ * Falls back to any free space in the inventory, and leaves the item entity alone if the item does not fit.
+ * @param {Player} player
+ * @param {number | EquipmentSlot} slot
+ * @param {ItemStack} itemStack
+ * @param {Entity} entity
+ * @returns {boolean} True if the item was returned.
+ */
+function returnToSlot(player, slot, itemStack, entity) {
+    const container = player.getComponent("inventory")?.container;
+    const equippable = player.getComponent("equippable");
+    if (!container) return false;
+    const current = typeof slot === "number" ? container.getItem(slot) : equippable?.getEquipment(slot);
+    let returned = false;
+    if (!current) {
+        if (typeof slot === "number") container.setItem(slot, itemStack);
+        else equippable?.setEquipment(slot, itemStack);
+        returned = true;
+    } else if (current.isStackableWith(itemStack) && current.amount + itemStack.amount <= current.maxAmount) {
+        current.amount += itemStack.amount;
+        if (typeof slot === "number") container.setItem(slot, current);
+        else equippable?.setEquipment(slot, current);
+        returned = true;
+    } else if (container.emptySlotsCount > 0) {
+        returned = container.addItem(itemStack) === undefined;
+    }
+    if (returned) entity.remove();
+    return returned;
+}
+
+/**
+ * @typedef {Object} ProjectileEvent
+ * @property {"launch" | "hitEntity" | "hitBlock" | "expire"} type What happened to the projectile
+ * @property {Entity} projectile The projectile entity. It may no longer be valid on `expire`.
+ * @property {string} projectileType typeId of the projectile
+ * @property {Entity | undefined} shooter Entity that launched the projectile, if any
+ * @property {Dimension} dimension Dimension the projectile is in
+ * @property {Vector3} location Where the event happened
+ * @property {number | undefined} flightTime Ticks since launch, undefined if the launch was not seen
+ * @property {number | undefined} distance Distance in blocks from the launch location, undefined if the launch was not seen
+ * @property {Entity} [target] Entity that was hit, on `hitEntity`
+ * @property {Block} [block] Block that was hit, on `hitBlock`
+ * @property {Direction} [face] Face of the block that was hit, on `hitBlock`
+ */
+
+/**
+ * Checks if an entity still exists, on every version of @minecraft/server.
+ * @param {Entity} entity
+ * @returns {boolean}
+ */
+export function isValid(entity) {
+    // `isValid` is a method before @minecraft/server 2.0 and a property since then
+    return typeof entity.isValid === "function" ? entity.isValid() : entity.isValid;
+}
+
+bus.define("projectile", (emit) => {
+    /** @type {Map<string, {entity: Entity, typeId: string, shooter: Entity | undefined, dimension: Dimension, launchTick: number, launchLocation: Vector3, location: Vector3, gone?: boolean, hit?: boolean}>} */
+    const flying = new Map();
+
+    /**
+     * Builds the event of a projectile, with its flight time and distance when its launch was seen.
+     * @returns {ProjectileEvent}
+     */
+    const toEvent = (type, projectile, location, dimension, shooter, extra = {}) => {
+        const launch = flying.get(projectile.id);
+        return {
+            type,
+            projectile,
+            projectileType: launch?.typeId ?? projectile.typeId,
+            shooter: shooter ?? launch?.shooter,
+            dimension,
+            location,
+            flightTime: launch ? system.currentTick - launch.launchTick : undefined,
+            distance: launch ? Math.hypot(location.x - launch.launchLocation.x, location.y - launch.launchLocation.y, location.z - launch.launchLocation.z) : undefined,
+            ...extra
+        };
+    };
+
+    const stopSpawn = listen(world.afterEvents.entitySpawn, ({ entity, cause }) => {
+        // Projectiles of a chunk being loaded were launched earlier, the launch data isn't known
+        if (cause === "Loaded") return;
+        const projectile = entity.getComponent("projectile");
+        if (!projectile) return;
+        const launch = {
+            entity,
+            typeId: entity.typeId,
+            shooter: projectile.owner,
+            dimension: entity.dimension,
+            launchTick: system.currentTick,
+            launchLocation: entity.location,
+            location: entity.location
+        };
+        flying.set(entity.id, launch);
+        emit(toEvent("launch", entity, launch.location, launch.dimension));
+    });
+    const stopHitEntity = listen(world.afterEvents.projectileHitEntity, (event) => {
+        const { projectile, source, location, dimension } = event;
+        const target = event.getEntityHit()?.entity;
+        if (!target) return;
+        // Kept in flight, piercing projectiles can hit several entities. Marked so its removal isn't reported as `expire`.
+        const launch = flying.get(projectile.id);
+        if (launch) launch.hit = true;
+        emit(toEvent("hitEntity", projectile, location, dimension, source, { target }));
+    });
+    const stopHitBlock = listen(world.afterEvents.projectileHitBlock, (event) => {
+        const { projectile, source, location, dimension } = event;
+        const { block, face } = event.getBlockHit();
+        emit(toEvent("hitBlock", projectile, location, dimension, source, { block, face }));
+        flying.delete(projectile.id);
+    });
+    const stopTick = every(() => {
+        for (const [id, launch] of flying) {
+            if (isValid(launch.entity)) {
+                launch.location = launch.entity.location;
+                continue;
+            }
+            // Waits one more tick, so hits reported in the same tick as the removal come first
+            if (!launch.gone) {
+                launch.gone = true;
+                continue;
+            }
+            if (!launch.hit)
+                emit(toEvent("expire", launch.entity, launch.location, launch.dimension));
+            flying.delete(id);
+        }
+    });
+    return () => {
+        stopSpawn();
+        stopHitEntity();
+        stopHitBlock();
+        stopTick();
+    };
+});
+
+/** Size in blocks of the cells regions are indexed by. */
+const REGION_CELL_SIZE = 16;
+
+/**
+ * A named area, as stored by {@link RegionRegistry}.
+ * @typedef {Object} Region
+ * @property {string} name Name of the region
+ * @property {string} dimensionId Id of the dimension the region is in
+ * @property {"cuboid" | "sphere"} shape Shape of the region
+ * @property {Vector3} min Lowest corner of the region's bounding box
+ * @property {Vector3} max Highest corner of the region's bounding box
+ * @property {Vector3} [center] Center of a sphere
+ * @property {number} [radius] Radius of a sphere
+ * @property {string[]} entityTypes Entity types the region reacts to
+ * @property {string[] | undefined} tags Tags an entity needs, all of them, for the region to react to it
+ * @property {number} stayInterval Ticks between two `stay` events
+ */
+
+/**
+ * Keeps the regions used by {@link CustomEvents.detectRegionEvents}.
+ *
+ * Regions are indexed by dimension and by 16x16 column cells, so finding the regions at a location
+ * only checks the few regions overlapping its cell, however many regions are defined.
+ */
+export class RegionRegistry {
+    constructor() {
+        /** @private @type {Map<string, Region>} */
+        this.regions = new Map();
+        /** @private @type {Map<string, Map<string, Set<Region>>>} Regions by dimension id, then by cell */
+        this.cells = new Map();
+        /** @private @type {Map<string, Set<string>>} Entity types reacted to in each dimension, rebuilt when its regions change */
+        this.entityTypes = new Map();
+    }
+
+    /**
+     * Defines a region, replacing any region with the same name.
+     *
+     * @param {string} name Name of the region
+     * @param {Object} options
+     * @param {Dimension | string} options.dimension Dimension, or dimension id, of the region
+     * @param {"cuboid" | "sphere"} [options.shape="cuboid"] Shape of the region
+     * @param {Vector3} [options.from] First corner of a cuboid, the block at this location is included
+     * @param {Vector3} [options.to] Opposite corner of a cuboid, the block at this location is included
+     * @param {Vector3} [options.center] Center of a sphere
+     * @param {number} [options.radius] Radius of a sphere
+     * @param {string[]} [options.entityTypes=["minecraft:player"]] Entity types the region reacts to
+     * @param {string[]} [options.tags] Tags an entity needs, all of them, for the region to react to it
+     * @param {number} [options.stayInterval=20] Ticks between two `stay` events
+     * @returns {Region}
+     * @throws If the shape is unknown or its corners, center or radius are missing.
+     *
+     * @example
+     * CustomEvents.regions.define("spawn", { dimension: "overworld", from: { x: -10, y: 60, z: -10 }, to: { x: 10, y: 80, z: 10 } });
+     * CustomEvents.regions.define("boss_arena", { dimension: "nether", shape: "sphere", center: { x: 0, y: 70, z: 0 }, radius: 24, tags: ["challenger"] });
+     */
+    define(name, options) {
+        const { dimension, shape = "cuboid", entityTypes = ["minecraft:player"], tags, stayInterval = 20 } = options;
+        const dimensionId = typeof dimension === "string"
+            ? (dimension.includes(":") ? dimension : `minecraft:${dimension}`)
+            : dimension.id;
+        /** @type {Region} */
+        let region;
+        if (shape === "cuboid") {
+            const { from, to } = options;
+            if (!from || !to)
+                throw new Error(`Region "${name}": a cuboid needs "from" and "to".`);
+            region = {
+                name, dimensionId, shape, entityTypes, tags, stayInterval,
+                min: { x: Math.min(from.x, to.x), y: Math.min(from.y, to.y), z: Math.min(from.z, to.z) },
+                max: { x: Math.max(from.x, to.x) + 1, y: Math.max(from.y, to.y) + 1, z: Math.max(from.z, to.z) + 1 }
+            };
+        } else if (shape === "sphere") {
+            const { center, radius } = options;
+            if (!center || !(radius > 0))
+                throw new Error(`Region "${name}": a sphere needs a "center" and a positive "radius".`);
+            region = {
+                name, dimensionId, shape, entityTypes, tags, stayInterval, center, radius,
+                min: { x: center.x - radius, y: center.y - radius, z: center.z - radius },
+                max: { x: center.x + radius, y: center.y + radius, z: center.z + radius }
+            };
+        } else {
+            throw new Error(`Region "${name}": unknown shape "${shape}".`);
+        }
+        this.remove(name);
+        this.regions.set(name, region);
+        this.entityTypes.delete(dimensionId);
+        let cells = this.cells.get(dimensionId);
+        if (!cells)
+            this.cells.set(dimensionId, cells = new Map());
+        for (const key of this.cellsOf(region)) {
+            let regions = cells.get(key);
+            if (!regions)
+                cells.set(key, regions = new Set());
+            regions.add(region);
+        }
+        return region;
+    }
+
+    /**
+     * Removes a region. Entities inside it get a `leave` event on the next check.
+     * @param {string} name Name of the region
+     * @returns {boolean} True if the region existed.
+     */
+    remove(name) {
+        const region = this.regions.get(name);
+        if (!region) return false;
+        this.regions.delete(name);
+        this.entityTypes.delete(region.dimensionId);
+        const cells = this.cells.get(region.dimensionId);
+        for (const key of this.cellsOf(region)) {
+            const regions = cells.get(key);
+            regions.delete(region);
+            if (regions.size === 0) cells.delete(key);
+        }
+        if (cells.size === 0) this.cells.delete(region.dimensionId);
+        return true;
+    }
+
+    /**
+     * @param {string} name Name of the region
+     * @returns {Region | undefined}
+     */
+    get(name) {
+        return this.regions.get(name);
+    }
+
+    /**
+     * @returns {Region[]} Every defined region.
+     */
+    getAll() {
+        return [...this.regions.values()];
+    }
+
+    /**
+     * Gets the regions containing a location.
+     * @param {Dimension | string} dimension Dimension, or dimension id
+     * @param {Vector3} location
+     * @returns {Region[]}
+     */
+    getRegionsAt(dimension, location) {
+        const dimensionId = typeof dimension === "string" ? dimension : dimension.id;
+        const regions = this.cells.get(dimensionId)?.get(this.cellKey(location.x, location.z));
+        if (!regions) return [];
+        return [...regions].filter(region => RegionRegistry.contains(region, location));
+    }
+
+    /**
+     * Checks if a location is inside a region.
+     * @param {Region} region
+     * @param {Vector3} location
+     * @returns {boolean}
+     */
+    static contains(region, { x, y, z }) {
+        if (region.shape === "sphere") {
+            const { center, radius } = region;
+            return (x - center.x) ** 2 + (y - center.y) ** 2 + (z - center.z) ** 2 <= radius ** 2;
+        }
+        const { min, max } = region;
+        return x >= min.x && x < max.x && y >= min.y && y < max.y && z >= min.z && z < max.z;
+    }
+
+    /**
+     * @returns {string[]} Ids of the dimensions having at least one region.
+     */
+    getDimensionIds() {
+        return [...this.cells.keys()];
+    }
+
+    /**
+     * @param {string} dimensionId
+     * @returns {ReadonlySet<string>} Entity types reacted to by the regions of a dimension.
+     */
+    getEntityTypes(dimensionId) {
+        let types = this.entityTypes.get(dimensionId);
+        if (!types) {
+            types = new Set();
+            for (const region of this.regions.values())
+                if (region.dimensionId === dimensionId)
+                    region.entityTypes.forEach(type => types.add(type));
+            this.entityTypes.set(dimensionId, types);
+        }
+        return types;
+    }
+
+    /** @private */
+    cellKey(x, z) {
+        return `${Math.floor(x / REGION_CELL_SIZE)},${Math.floor(z / REGION_CELL_SIZE)}`;
+    }
+
+    /** @private */
+    *cellsOf({ min, max }) {
+        for (let cx = Math.floor(min.x / REGION_CELL_SIZE); cx <= Math.floor(max.x / REGION_CELL_SIZE); cx++)
+            for (let cz = Math.floor(min.z / REGION_CELL_SIZE); cz <= Math.floor(max.z / REGION_CELL_SIZE); cz++)
+                yield `${cx},${cz}`;
+    }
+}
+
+const regions = new RegionRegistry();
+
+bus.define("region", (emit) => {
+    /** @type {Map<string, {entity: Entity, inside: Map<Region, number>}>} Regions each entity is in, with the tick it entered them */
+    const tracked = new Map();
+    return every(() => {
+        const tick = system.currentTick;
+        const seen = new Set();
+        for (const dimensionId of regions.getDimensionIds()) {
+            const dimension = world.getDimension(dimensionId);
+            for (const type of regions.getEntityTypes(dimensionId)) {
+                for (const entity of dimension.getEntities({ type })) {
+                    const now = regions.getRegionsAt(dimensionId, entity.location).filter(region =>
+                        region.entityTypes.includes(entity.typeId) && (!region.tags || region.tags.every(tag => entity.hasTag(tag))));
+                    let state = tracked.get(entity.id);
+                    if (!state) {
+                        if (now.length === 0) continue;
+                        tracked.set(entity.id, state = { entity, inside: new Map() });
+                    }
+                    seen.add(entity.id);
+                    for (const [region, since] of state.inside) {
+                        if (now.includes(region)) continue;
+                        state.inside.delete(region);
+                        emit({ type: "leave", entity, region, duration: tick - since });
+                    }
+                    for (const region of now) {
+                        const since = state.inside.get(region);
+                        if (since === undefined) {
+                            state.inside.set(region, tick);
+                            emit({ type: "enter", entity, region, duration: 0 });
+                        } else if ((tick - since) % region.stayInterval === 0) {
+                            emit({ type: "stay", entity, region, duration: tick - since });
+                        }
+                    }
+                    if (state.inside.size === 0) tracked.delete(entity.id);
+                }
+            }
+        }
+        // Entities that were removed, left or changed dimension
+        for (const [id, state] of tracked) {
+            if (seen.has(id)) continue;
+            for (const [region, since] of state.inside)
+                emit({ type: "leave", entity: state.entity, region, duration: tick - since });
+            tracked.delete(id);
+        }
+    });
+});
 
 export class CustomEvents {
-    
+
+    /**
+      * The bus every detector publishes on. Detectors subscribed to the same channel share one world
+      * subscription or interval, which is stopped once all of them are unsubscribed.
+      *
+      * Channels: `playerPickupItem`, `playerDropItem`, `projectile`, `region`, `playerLeave`,
+      * `playerTick` (emits `world.getAllPlayers()` every tick), `itemStartUse`, `itemStopUse`, `itemCompleteUse`,
+      * `playerInteract` (emits the player who used an item, interacted with, broke, placed or hit something), `chatSend` (Beta API).
+      * Any other channel name can be used to publish your own events.
+      * @type {EventBus}
+      *
+      * @example
+      * const subscription = CustomEvents.bus.on("playerLeave", ({ playerName }) => world.sendMessage(`${playerName} left!`));
+      * CustomEvents.bus.emit("roundEnd", { winner: "Steve" });
+      */
+    static bus = bus;
+
     /**
       * Detects when player picks up any item.
-      * @param {function({player: player, pickedItem: item})} callBack
+      *
+      * Item entities near players are watched every tick and each player's inventory is diffed slot by slot,
+      * so the event reports exactly which slots received the item. Every pickup is given to one player only
+      * (the one whose inventory gained the item, the closest one if several did), and partial pickups of a
+      * stack that did not fully fit are reported as well.
+      *
+      * @param {function({player: Player, pickedItem: ItemStack, amount: number, itemEntity: Entity, itemEntityId: string, slots: SlotChange[], partial: boolean})} callBack
+      * `pickedItem` holds the amount that was picked up, `slots` the slots that received it and `partial` is true
+      * when the item entity is still there with the rest of its stack.
+      * @returns {EventSubscription}
       * @author Carchi77
       * GitHub: https://github.com/Carchi777/detect-who-picked-up-an-item
-      * 
+      *
       * @example
       * import { world } from "@minecraft/server"
-      * detectPlayerPickupItem((event) => {
-      *  console.log(`Player ${player.nameTag} picked up ${item.amount} amount of ${item.typeId.slice(10)}`);
+      * const subscription = CustomEvents.detectPlayerPickupItem(({ player, pickedItem, slots }) => {
+      *  console.log(`Player ${player.nameTag} picked up ${pickedItem.amount} amount of ${pickedItem.typeId.slice(10)} into slots ${slots.map(s => s.slot).join(", ")}`);
       * });
-      * 
+      * // Later, stop detecting
+      * subscription.unsubscribe();
+      *
       */
     static detectPlayerPickupItem(callBack) {
-        world.beforeEvents.entityRemove.subscribe(e => {
-            const { removedEntity: entity } = e;
-            const item = entity.getComponent("item")?.itemStack
-            if (!item) return
-            const players = entity.dimension.getEntities(
-                { maxDistance: 1.5, location: entity.location, type: "player" }
-            )
-            players.forEach(player => {
-                const inv = player.getComponent('inventory').container
-                const items = Array
-                    .from({ length: inv.size }, (_, i) => inv.getItem(i))
-                    .filter(k => k != null);
-                system.run(() => {
-                    const valid = Array
-                        .from({ length: inv.size }, (_, i) => inv.getItem(i))
-                        .filter(k => k != null)
-                        .some((k, i) => k.typeId === item.typeId && k.amount != items[i]?.amount);
-                    if (valid) {
-                        callBack({ player: player, pickedItem: item })
-                    }
-                })
-            })
-        })
+        return bus.on("playerPickupItem", callBack);
     }
 
     /**
       * Detects when player drops any item.
-      * @param {function({player: player, droppedItem: item})} callBack
+      *
+      * Every spawned item entity is matched against the slots that lost that item since the previous tick,
+      * so the event knows which slot the item came from even with several players nearby.
+      *
+      * Causes:
+      * - `manual`: the player dropped the item (Q-drop, dragging it out of the inventory...)
+      * - `death`: the player died and dropped its inventory
+      * - `container`: a container broken by the player spilled its content, `slot` is undefined
+      * - `unknown`: a slot lost this item type but not the same amount
+      *
+      * Set `event.cancel` to true in the callback to put the item back into its slot. Items spilled from containers cannot be cancelled.
+      *
+      * @param {function({player: Player, droppedItem: ItemStack, itemEntity: Entity, slot: number | EquipmentSlot | undefined, cause: "manual" | "death" | "container" | "unknown", cancel: boolean})} callBack
+      * @returns {EventSubscription}
       * @author Minato (Minecraft Bedrock Arabic)
-      * 
+      *
       * @example
       * import { world } from "@minecraft/server"
-      * detectPlayerDropItem((event) => {
-      *  world.sendMessage(`§a${item.typeId}§r was dropped by §2${player.nameTag}§r!`)
+      * const subscription = CustomEvents.detectPlayerDropItem((event) => {
+      *  const { player, droppedItem, slot, cause } = event;
+      *  if (cause === "manual" && player.hasTag("no_drop")) {
+      *   event.cancel = true;
+      *   return;
+      *  }
+      *  world.sendMessage(`§a${droppedItem.typeId}§r was dropped by §2${player.nameTag}§r from slot ${slot} (${cause})!`)
       * });
-      * 
+      *
       */
     static detectPlayerDropItem(callBack) {
-        world.afterEvents.entitySpawn.subscribe((event) => {
-            const {entity} = event
-            if (entity.typeId !== "minecraft:item") return;
-            const closestPlayers = entity.dimension.getEntities({
-                type: "minecraft:player",
-                location: entity.location,
-                maxDistance: 2,
-            });
-            if (closestPlayers.length == 0) return;
-            const player = closestPlayers.find(p=> 
-                p.getRotation().x === entity.getRotation().x &&
-                p.getRotation().y === entity.getRotation().y
-            );
-            if (!player) return;
-            const item = entity.getComponent("item").itemStack
-
-            callBack({ player: player, droppedItem: item });
-        })
+        return bus.on("playerDropItem", callBack);
     }
-    
+
     /**
       * Detects when a player shoots a projectile that hits another entity.
-      * 
+      *
       * @param {function({player: Player, target: Entity, projectile: string})} callBack A callback function to call when a player shoots a projectile and hits another entity.
       * @param {Entity} [whom] An entity to watch for hits. If specified, the callback will only be called if the projectile hits this entity.
-      * 
+      * @param {Object} [options]
+      * @param {string[]} [options.types] Only detect these projectile types. Every projectile is detected by default.
+      * @param {string | {id: string, volume?: number, pitch?: number}} [options.sound] Sound played to the player when the projectile hits.
+      * @returns {EventSubscription}
+      *
       * @example
       * import { world } from "@minecraft/server"
-      * 
-      * CustomEvents.detectPlayerShootsEvent((event) => {
+      *
+      * const subscription = CustomEvents.detectPlayerShootsEvent((event) => {
       *  console.log(`Player ${event.player.name} shot at ${event.target.name}`);
-      * });
-      * 
+      * }, null, { sound: { id: "random.orb", volume: 0.4 } });
+      *
       */
-    static detectPlayerShootsEvent(callBack, whom = null) {
-        world.afterEvents.entitySpawn.subscribe(({ entity }) => {
-            if (entity.typeId !== 'minecraft:arrow' && entity.typeId !== 'minecraft:trident')
+    static detectPlayerShootsEvent(callBack, whom = null, options = {}) {
+        return CustomEvents.trackProjectiles(({ shooter, target, projectileType }) => {
+            // If 'whom' is specified, check if it matches the hit entity
+            if (!(shooter instanceof Player) || (whom && target !== whom))
                 return;
-            const callback = world.afterEvents.projectileHitEntity.subscribe((arg) => {
-                const { source, projectile } = arg;
-                const hitInfo = arg.getEntityHit();
-                if (hitInfo?.entity && source instanceof Player && projectile === entity) {
-                    const shooter = source; // Who shot the projectile
-                    const target = hitInfo.entity; // Whom the projectile hit
-                    const projectileType = projectile.typeId; // What was shot
-                    // If 'whom' is specified, check if it matches the hit entity
-                    if (whom && target !== whom)
-                        return;
-                    // Call the developer's callback with detailed event data
-                    callBack({ player: shooter, target: target, projectile: projectileType });
-                    // Play a sound (default behavior)
-                    shooter.playSound("random.orb", { volume: 0.4, pitch: 1.0 });
-                    // Unsubscribe after detecting the hit
-                    world.afterEvents.projectileHitEntity.unsubscribe(callback);
+            // Call the developer's callback with detailed event data
+            callBack({ player: shooter, target: target, projectile: projectileType });
+        }, { ...options, events: ["hitEntity"] });
+    }
+
+    /**
+      * Tracks projectiles of any type, custom ones included, from launch to hit or expiry.
+      * All trackers share one set of world subscriptions.
+      *
+      * Events:
+      * - `launch`: a projectile was spawned
+      * - `hitEntity`: it hit an entity, piercing projectiles can report several hits
+      * - `hitBlock`: it hit a block, tracking stops there
+      * - `expire`: it disappeared without hitting anything (despawned, killed...)
+      *
+      * @param {function(ProjectileEvent)} callBack
+      * @param {Object} [options]
+      * @param {("launch" | "hitEntity" | "hitBlock" | "expire")[]} [options.events] Events to listen to, all of them by default.
+      * @param {string[]} [options.types] Only track these projectile types.
+      * @param {boolean} [options.playersOnly=false] Only track projectiles shot by players.
+      * @param {string | {id: string, volume?: number, pitch?: number}} [options.sound] Sound played to the shooting player when a projectile hits an entity or a block.
+      * @returns {EventSubscription}
+      *
+      * @example
+      * CustomEvents.trackProjectiles(({ type, shooter, flightTime, distance }) => {
+      *  if (type === "hitEntity")
+      *   shooter.sendMessage(`Hit after ${flightTime} ticks, ${distance.toFixed(1)} blocks away!`);
+      * }, { events: ["hitEntity"], types: ["minecraft:arrow", "myaddon:dart"], playersOnly: true, sound: "random.orb" });
+      *
+      */
+    static trackProjectiles(callBack, options = {}) {
+        const { events, types, playersOnly = false, sound } = options;
+        const { id: soundId, ...soundOptions } = typeof sound === "string" ? { id: sound } : sound ?? {};
+        return bus.on("projectile", (event) => {
+            if (events && !events.includes(event.type)) return;
+            if (types && !types.includes(event.projectileType)) return;
+            if (playersOnly && !(event.shooter instanceof Player)) return;
+            callBack(event);
+            if (soundId && event.shooter instanceof Player && (event.type === "hitEntity" || event.type === "hitBlock"))
+                event.shooter.playSound(soundId, soundOptions);
+        });
+    }
+
+    /**
+      * The regions watched by {@link CustomEvents.detectRegionEvents}.
+      * @type {RegionRegistry}
+      */
+    static regions = regions;
+
+    /**
+      * Detects entities entering, leaving and staying in the regions defined in {@link CustomEvents.regions}.
+      *
+      * `stay` is fired every `stayInterval` ticks of the region while the entity remains inside it.
+      * An entity that is removed or changes dimension while inside a region gets a `leave` event.
+      *
+      * @param {function({type: "enter" | "leave" | "stay", entity: Entity, region: Region, duration: number})} callBack `duration` is the number of ticks spent inside the region.
+      * @param {Object} [options]
+      * @param {("enter" | "leave" | "stay")[]} [options.events] Events to listen to, all of them by default.
+      * @param {string[]} [options.regions] Names of the regions to listen to, all of them by default.
+      * @returns {EventSubscription}
+      *
+      * @example
+      * CustomEvents.regions.define("spawn", { dimension: "overworld", from: { x: -10, y: 60, z: -10 }, to: { x: 10, y: 80, z: 10 }, stayInterval: 100 });
+      *
+      * CustomEvents.detectRegionEvents(({ type, entity, region }) => {
+      *  if (type === "enter") entity.sendMessage(`Welcome to ${region.name}!`);
+      *  if (type === "stay") entity.addEffect("regeneration", 100);
+      * }, { regions: ["spawn"] });
+      *
+      */
+    static detectRegionEvents(callBack, options = {}) {
+        const { events, regions: names } = options;
+        return bus.on("region", (event) => {
+            if (events && !events.includes(event.type)) return;
+            if (names && !names.includes(event.region.name)) return;
+            callBack(event);
+        });
+    }
+
+    /**
+      * Detects when players start looking at, keep looking at, and stop looking at an entity or a block.
+      * Built on {@link Utility.getViewEntity} and {@link Utility.GetblockInView}.
+      *
+      * `lookHold` is fired every `holdInterval` ticks while the player keeps looking at the same target.
+      * Looking at the same location after the block there changed counts as a new target.
+      *
+      * @param {function({type: "lookStart" | "lookHold" | "lookEnd", player: Player, entity?: Entity, block?: Block, duration: number})} callBack
+      * `duration` is the number of ticks the player has been looking at the target.
+      * @param {Object} [options]
+      * @param {"entity" | "block"} [options.target="entity"] What to watch
+      * @param {number} [options.maxDistance=16] Max distance of the target, in blocks
+      * @param {string[]} [options.types] Only react to targets of these typeIds
+      * @param {number} [options.interval=2] Ticks between two raycasts of the same player
+      * @param {number} [options.holdInterval=20] Ticks between two `lookHold` events
+      * @param {string[]} [options.gameModes] Only watch players in one of these game modes.
+      * @param {string[]} [options.tags] Only watch players having all of these tags.
+      * @returns {EventSubscription}
+      *
+      * @example
+      * // Talk to an NPC after staring at it for 2 seconds
+      * CustomEvents.detectGaze(({ type, player, entity, duration }) => {
+      *  if (type === "lookHold" && duration >= 40) player.sendMessage(`${entity.nameTag}: Hello there!`);
+      * }, { target: "entity", maxDistance: 6, types: ["minecraft:npc"] });
+      *
+      */
+    static detectGaze(callBack, options = {}) {
+        const { target = "entity", maxDistance = 16, types, interval = 2, holdInterval = 20 } = options;
+        /** @type {PlayerStateStore<{key: string | undefined, entity?: Entity, block?: Block, since: number, lastHold: number}>} */
+        const store = new PlayerStateStore(() => ({ key: undefined, since: 0, lastHold: 0 }));
+        const end = (player, state, tick) => {
+            if (state.key === undefined) return;
+            callBack({ type: "lookEnd", player, entity: state.entity, block: state.block, duration: tick - state.since });
+            state.key = state.entity = state.block = undefined;
+        };
+        const subscription = bus.on("playerTick", (players) => {
+            const tick = system.currentTick;
+            if (tick % interval !== 0) return;
+            for (const player of players) {
+                const state = store.get(player);
+                if (!matchesPlayer(player, options)) {
+                    end(player, state, tick);
+                    continue;
                 }
-            });
+                let key, entity, block;
+                if (target === "entity") {
+                    entity = Utility.getViewEntity(player, { maxDistance });
+                    if (entity && (!types || types.includes(entity.typeId))) key = entity.id;
+                    else entity = undefined;
+                } else {
+                    block = Utility.GetblockInView(player, { maxDistance });
+                    if (block && (!types || types.includes(block.typeId))) {
+                        const { x, y, z } = block.location;
+                        key = `${block.typeId}@${block.dimension.id}:${x},${y},${z}`;
+                    } else block = undefined;
+                }
+                if (key === state.key) {
+                    if (key !== undefined && tick - state.lastHold >= holdInterval) {
+                        state.lastHold = tick;
+                        callBack({ type: "lookHold", player, entity: state.entity, block: state.block, duration: tick - state.since });
+                    }
+                    continue;
+                }
+                end(player, state, tick);
+                if (key === undefined) continue;
+                Object.assign(state, { key, entity, block, since: tick, lastHold: tick });
+                callBack({ type: "lookStart", player, entity, block, duration: 0 });
+            }
         });
+        return combine([subscription], [store]);
     }
-    
+
     /**
      * Detects when a player does a double jump.
-     * 
-     * @param {function({player: Player})} callBack 
-     * 
+     *
+     * @param {function(Player)} callBack
+     * @returns {EventSubscription}
+     *
      * @example
      * import { world } from "@minecraft/server"
-     * 
-     * const player = world.getPlayers()[0];
-     * CustomEvents.detectDoubleJumpEvent((player) => {
+     *
+     * const subscription = CustomEvents.detectDoubleJumpEvent((player) => {
      *  console.log(`Player ${player.name} did a double jump!`);
      * });
-     * 
+     *
      */
     static detectDoubleJumpEvent(callBack) {
-        system.runInterval(() => {
-            world.getAllPlayers().forEach(player => {
-                // Initialize jump tracking if not set
-                if (!player.hasOwnProperty("jumpCount"))
-                    player.jumpCount = 0;
-                if (!player.hasOwnProperty("lastJumping"))
-                    player.lastJumping = false;
+        // Kept on the original rule: every jump press in the air counts, however the player left the ground,
+        // with no time limit between the presses. Use detectMultiJump for the ground-jump based chains.
+        const store = new PlayerStateStore(() => ({ jumpCount: 0, lastJumping: false }));
+        const subscription = bus.on("playerTick", (players) => {
+            for (const player of players) {
+                const state = store.get(player);
+                const { isOnGround, isJumping } = player;
                 // Reset jump count when touching the ground
-                if (player.isOnGround)
-                    player.jumpCount = 0;
-                // Detect double jump: player jumps while airborne & wasn't jumping before
-                if (player.isJumping && !player.lastJumping && !player.isOnGround) {
-                    player.jumpCount++;
-                    if (player.jumpCount === 2) {
-                        callBack(player); // Execute developer's custom function
+                if (isOnGround)
+                    state.jumpCount = 0;
+                // Jump pressed while airborne
+                if (isJumping && !state.lastJumping && !isOnGround && ++state.jumpCount === 2)
+                    callBack(player);
+                state.lastJumping = isJumping;
+            }
+        });
+        return combine([subscription], [store]);
+    }
+
+    /**
+     * Detects when a player jumps while already in the air, up to a configurable number of jumps.
+     *
+     * Leaving the ground (by jumping or by falling) counts as jump 1, so the callback is called with
+     * `jumpIndex` 2 for the first jump in the air, 3 for the next one, and so on up to `jumps`.
+     * The chain is broken when more than `maxInterval` ticks pass between two jumps, and starts over on landing.
+     *
+     * @param {function({player: Player, jumpIndex: number, airTime: number})} callBack `airTime` is the number of ticks since the player left the ground.
+     * @param {Object} [options]
+     * @param {number} [options.jumps=2] Highest jump index to detect.
+     * @param {number} [options.maxInterval=10] Max ticks between two jumps of the same chain.
+     * @param {number} [options.cooldown=0] Ticks after landing from a detected chain before the player can start a new one.
+     * @param {string[]} [options.gameModes] Only detect players in one of these game modes.
+     * @param {string[]} [options.tags] Only detect players having all of these tags.
+     * @returns {EventSubscription}
+     * @throws If jumps is not an integer of at least 2.
+     *
+     * @example
+     * import { GameMode } from "@minecraft/server"
+     *
+     * // Triple jump for survival players with the "jumper" tag, at most every 2 seconds
+     * CustomEvents.detectMultiJump(({ player, jumpIndex }) => {
+     *  player.applyKnockback(0, 0, 0, 0.6);
+     *  if (jumpIndex === 3) player.sendMessage("Triple jump!");
+     * }, { jumps: 3, cooldown: 40, gameModes: [GameMode.survival], tags: ["jumper"] });
+     *
+     */
+    static detectMultiJump(callBack, options = {}) {
+        const { jumps = 2, maxInterval = 10, cooldown = 0 } = options;
+        if (!Number.isInteger(jumps) || jumps < 2)
+            throw new Error("jumps must be an integer of at least 2.");
+        const store = new PlayerStateStore(() => ({
+            jumpCount: 0,
+            lastJumping: false,
+            airborneSince: 0,
+            lastJumpTick: 0,
+            broken: false,
+            fired: false,
+            cooldownUntil: 0
+        }));
+        const subscription = bus.on("playerTick", (players) => {
+            const tick = system.currentTick;
+            for (const player of players) {
+                if (!matchesPlayer(player, options)) {
+                    store.delete(player);
+                    continue;
+                }
+                const state = store.get(player);
+                const { isOnGround, isJumping } = player;
+                if (isOnGround) {
+                    // Landing ends the chain
+                    if (state.fired)
+                        state.cooldownUntil = tick + cooldown;
+                    state.jumpCount = 0;
+                    state.broken = state.fired = false;
+                } else if (state.jumpCount === 0) {
+                    // Just left the ground, by jumping or by falling
+                    state.jumpCount = 1;
+                    state.airborneSince = state.lastJumpTick = tick;
+                } else if (isJumping && !state.lastJumping && !state.broken) {
+                    if (state.jumpCount >= jumps || tick - state.lastJumpTick > maxInterval || tick < state.cooldownUntil) {
+                        state.broken = true;
+                    } else {
+                        state.jumpCount++;
+                        state.lastJumpTick = tick;
+                        state.fired = true;
+                        callBack({ player, jumpIndex: state.jumpCount, airTime: tick - state.airborneSince });
                     }
                 }
-                // Store last jumping state
-                player.lastJumping = player.isJumping;
-            });
+                state.lastJumping = isJumping;
+            }
+        });
+        return combine([subscription], [store]);
+    }
+
+    /**
+     * Detects when a player taps sneak several times in a row, e.g. a double-sneak.
+     *
+     * @param {function({player: Player, taps: number})} callBack
+     * @param {Object} [options]
+     * @param {number} [options.taps=2] Number of taps to detect.
+     * @param {number} [options.maxInterval=8] Max ticks between two taps.
+     * @param {number} [options.cooldown=0] Ticks after a detection before the player can be detected again.
+     * @param {string[]} [options.gameModes] Only detect players in one of these game modes.
+     * @param {string[]} [options.tags] Only detect players having all of these tags.
+     * @returns {EventSubscription}
+     * @throws If taps is not a positive integer.
+     *
+     * @example
+     * CustomEvents.detectSneakTap(({ player }) => {
+     *  player.addEffect("invisibility", 60);
+     * }, { taps: 2, cooldown: 100 });
+     *
+     */
+    static detectSneakTap(callBack, options = {}) {
+        const { taps = 2, maxInterval = 8, cooldown = 0 } = options;
+        if (!Number.isInteger(taps) || taps < 1)
+            throw new Error("taps must be a positive integer.");
+        const store = new PlayerStateStore(() => ({ count: 0, lastTap: 0, lastSneaking: false, cooldownUntil: 0 }));
+        const subscription = bus.on("playerTick", (players) => {
+            const tick = system.currentTick;
+            for (const player of players) {
+                if (!matchesPlayer(player, options)) {
+                    store.delete(player);
+                    continue;
+                }
+                const state = store.get(player);
+                const { isSneaking } = player;
+                if (isSneaking && !state.lastSneaking && tick >= state.cooldownUntil) {
+                    state.count = tick - state.lastTap <= maxInterval ? state.count + 1 : 1;
+                    state.lastTap = tick;
+                    if (state.count === taps) {
+                        state.count = 0;
+                        state.cooldownUntil = tick + cooldown;
+                        callBack({ player, taps });
+                    }
+                }
+                state.lastSneaking = isSneaking;
+            }
         });
+        return combine([subscription], [store]);
+    }
+
+    /**
+     * Detects when a player holds sneak for a while.
+     *
+     * The callback is called once when the hold reaches `minDuration`, with `released` false,
+     * and once more when the player stops sneaking, with `released` true and the total duration.
+     *
+     * @param {function({player: Player, duration: number, released: boolean})} callBack `duration` is the number of ticks sneak has been held.
+     * @param {Object} [options]
+     * @param {number} [options.minDuration=20] Ticks sneak must be held to be detected.
+     * @param {number} [options.cooldown=0] Ticks after a release before the player can be detected again.
+     * @param {string[]} [options.gameModes] Only detect players in one of these game modes.
+     * @param {string[]} [options.tags] Only detect players having all of these tags.
+     * @returns {EventSubscription}
+     *
+     * @example
+     * CustomEvents.detectSneakHold(({ player, duration, released }) => {
+     *  if (!released) player.sendMessage("Charging dash...");
+     *  else player.applyKnockback(0, 1, Math.min(duration / 20, 3), 0.2);
+     * }, { minDuration: 30 });
+     *
+     */
+    static detectSneakHold(callBack, options = {}) {
+        const { minDuration = 20, cooldown = 0 } = options;
+        const store = new PlayerStateStore(() => ({ since: -1, reached: false, cooldownUntil: 0 }));
+        const subscription = bus.on("playerTick", (players) => {
+            const tick = system.currentTick;
+            for (const player of players) {
+                if (!matchesPlayer(player, options)) {
+                    store.delete(player);
+                    continue;
+                }
+                const state = store.get(player);
+                if (player.isSneaking) {
+                    if (state.since < 0) {
+                        if (tick < state.cooldownUntil) continue;
+                        state.since = tick;
+                    }
+                    if (!state.reached && tick - state.since >= minDuration) {
+                        state.reached = true;
+                        callBack({ player, duration: tick - state.since, released: false });
+                    }
+                } else if (state.since >= 0) {
+                    if (state.reached) {
+                        state.cooldownUntil = tick + cooldown;
+                        callBack({ player, duration: tick - state.since, released: true });
+                    }
+                    state.since = -1;
+                    state.reached = false;
+                }
+            }
+        });
+        return combine([subscription], [store]);
+    }
+
+    /**
+     * Detects when a player starts or stops sprinting, swimming, gliding, sneaking, climbing or falling.
+     *
+     * A `started` event is followed by a matching stopped event, even during the cooldown.
+     *
+     * @param {function({player: Player, state: "sprinting" | "swimming" | "gliding" | "sneaking" | "climbing" | "falling", started: boolean, duration: number})} callBack
+     * `duration` is the number of ticks the player spent in the state, 0 when it starts.
+     * @param {Object} [options]
+     * @param {("sprinting" | "swimming" | "gliding" | "sneaking" | "climbing" | "falling")[]} [options.states=["sprinting", "swimming", "gliding"]] States to detect.
+     * @param {number} [options.cooldown=0] Ticks after a state stops before it can be detected starting again.
+     * @param {string[]} [options.gameModes] Only detect players in one of these game modes.
+     * @param {string[]} [options.tags] Only detect players having all of these tags.
+     * @returns {EventSubscription}
+     *
+     * @example
+     * CustomEvents.detectMovementStateChange(({ player, state, started }) => {
+     *  if (state === "sprinting" && started) player.addEffect("speed", 40);
+     * }, { states: ["sprinting"] });
+     *
+     */
+    static detectMovementStateChange(callBack, options = {}) {
+        const { states = ["sprinting", "swimming", "gliding"], cooldown = 0 } = options;
+        const properties = {
+            sprinting: "isSprinting",
+            swimming: "isSwimming",
+            gliding: "isGliding",
+            sneaking: "isSneaking",
+            climbing: "isClimbing",
+            falling: "isFalling"
+        };
+        for (const state of states)
+            if (!properties[state]) throw new Error(`Unknown movement state "${state}".`);
+        /** @type {PlayerStateStore<Record<string, {since: number, cooldownUntil: number}>>} */
+        const store = new PlayerStateStore(() => Object.fromEntries(states.map(state => [state, { since: -1, cooldownUntil: 0 }])));
+        const subscription = bus.on("playerTick", (players) => {
+            const tick = system.currentTick;
+            for (const player of players) {
+                if (!matchesPlayer(player, options)) {
+                    store.delete(player);
+                    continue;
+                }
+                const playerStates = store.get(player);
+                for (const state of states) {
+                    const tracked = playerStates[state];
+                    const active = player[properties[state]];
+                    if (active && tracked.since < 0 && tick >= tracked.cooldownUntil) {
+                        tracked.since = tick;
+                        callBack({ player, state, started: true, duration: 0 });
+                    } else if (!active && tracked.since >= 0) {
+                        tracked.cooldownUntil = tick + cooldown;
+                        callBack({ player, state, started: false, duration: tick - tracked.since });
+                        tracked.since = -1;
+                    }
+                }
+            }
+        });
+        return combine([subscription], [store]);
+    }
+
+    /**
+     * Detects a player holding the use button with an item, reporting the charge progress.
+     *
+     * While the item is used, the callback is called every `interval` ticks with the progress,
+     * once with `charged` true when the charge completes, and once with `released` true when the player stops using it.
+     *
+     * @param {function({player: Player, itemStack: ItemStack, chargeTicks: number, progress: number, charged: boolean, released: boolean})} callBack
+     * `chargeTicks` is the number of ticks the item has been used, `progress` goes from 0 to 1.
+     * @param {Object} [options]
+     * @param {number} [options.ticks=20] Ticks of use needed for a full charge.
+     * @param {string[]} [options.items] Only detect these item types.
+     * @param {number} [options.interval=5] Ticks between two progress reports.
+     * @param {number} [options.cooldown=0] Ticks after a fully charged release before the player can charge again.
+     * @param {string[]} [options.gameModes] Only detect players in one of these game modes.
+     * @param {string[]} [options.tags] Only detect players having all of these tags.
+     * @returns {EventSubscription}
+     * @throws If ticks is not a positive number.
+     *
+     * @example
+     * CustomEvents.detectItemCharge(({ player, progress, charged, released }) => {
+     *  if (!released) player.onScreenDisplay.setActionBar(`Charge: ${Math.floor(progress * 100)}%`);
+     *  else if (progress === 1) player.dimension.createExplosion(player.location, 2, { source: player });
+     * }, { ticks: 40, items: ["myaddon:staff"] });
+     *
+     */
+    static detectItemCharge(callBack, options = {}) {
+        const { ticks = 20, items, interval = 5, cooldown = 0 } = options;
+        if (!(ticks > 0))
+            throw new Error("ticks must be a positive number.");
+        /** @type {PlayerStateStore<{itemStack: ItemStack | undefined, since: number, charged: boolean, cooldownUntil: number}>} */
+        const store = new PlayerStateStore(() => ({ itemStack: undefined, since: 0, charged: false, cooldownUntil: 0 }));
+        const report = (player, state, tick, released) => {
+            const chargeTicks = tick - state.since;
+            callBack({ player, itemStack: state.itemStack, chargeTicks, progress: Math.min(chargeTicks / ticks, 1), charged: state.charged, released });
+        };
+        const stop = ({ source: player }) => {
+            if (!(player instanceof Player)) return;
+            const state = store.peek(player);
+            if (!state?.itemStack) return;
+            const tick = system.currentTick;
+            if (state.charged) state.cooldownUntil = tick + cooldown;
+            report(player, state, tick, true);
+            state.itemStack = undefined;
+        };
+        const subscriptions = [
+            bus.on("itemStartUse", ({ source: player, itemStack }) => {
+                if (!(player instanceof Player) || !itemStack) return;
+                if (items && !items.includes(itemStack.typeId)) return;
+                if (!matchesPlayer(player, options)) return;
+                const state = store.get(player);
+                if (system.currentTick < state.cooldownUntil) return;
+                Object.assign(state, { itemStack, since: system.currentTick, charged: false });
+            }),
+            bus.on("itemStopUse", stop),
+            bus.on("itemCompleteUse", stop),
+            bus.on("playerTick", (players) => {
+                const tick = system.currentTick;
+                for (const player of players) {
+                    const state = store.peek(player);
+                    if (!state?.itemStack) continue;
+                    const chargeTicks = tick - state.since;
+                    if (!state.charged && chargeTicks >= ticks) {
+                        state.charged = true;
+                        report(player, state, tick, false);
+                    } else if (chargeTicks > 0 && chargeTicks % interval === 0) {
+                        report(player, state, tick, false);
+                    }
+                }
+            })
+        ];
+        return combine(subscriptions, [store]);
+    }
+
+
+    /**
+     * Detects changes in players' inventories, slot by slot, including equipment.
+     *
+     * Inventories are polled, so changes are batched: the callback is called at most once per player per poll,
+     * with every slot that changed since the last poll. A change of name, lore or durability is reported with a `delta` of 0.
+     * On large servers, `playersPerTick` limits how many players are polled each tick, going through them in turn.
+     *
+     * @param {function({player: Player, changes: SlotChange[]})} callBack
+     * @param {Object} [options]
+     * @param {string[]} [options.types] Only report slots where the item before or after the change is one of these types.
+     * @param {(number | EquipmentSlot)[]} [options.slots] Only report these container slots and equipment slots.
+     * @param {boolean} [options.equipment=true] Also watch the equipment (armor and offhand).
+     * @param {number} [options.playersPerTick=Infinity] Max players polled per tick.
+     * @returns {EventSubscription}
+     * @throws If playersPerTick is not a positive integer or Infinity.
+     *
+     * @example
+     * CustomEvents.detectInventoryChange(({ player, changes }) => {
+     *  for (const { slot, after, delta } of changes)
+     *   if (delta > 0) player.sendMessage(`+${delta} ${after.typeId} in slot ${slot}`);
+     * }, { types: ["minecraft:diamond"], playersPerTick: 5 });
+     *
+     */
+    static detectInventoryChange(callBack, options = {}) {
+        const { types, slots, equipment = true, playersPerTick = Infinity } = options;
+        if (playersPerTick !== Infinity && (!Number.isInteger(playersPerTick) || playersPerTick < 1))
+            throw new Error("playersPerTick must be a positive integer, or Infinity.");
+        /** @type {PlayerStateStore<{slots: (ItemStack | undefined)[], equipment: Record<string, ItemStack | undefined>} | undefined>} */
+        const snapshots = new PlayerStateStore(() => undefined);
+        let cursor = 0;
+        const subscription = bus.on("playerTick", (players) => {
+            const count = Math.min(players.length, playersPerTick);
+            for (let i = 0; i < count; i++) {
+                const player = players[(cursor + i) % players.length];
+                const container = player.getComponent("inventory")?.container;
+                if (!container) continue;
+                const after = {
+                    slots: snapshotContainer(container),
+                    equipment: equipment ? snapshotEquipment(player) : {}
+                };
+                const before = snapshots.peek(player);
+                snapshots.set(player, after);
+                if (!before) continue;
+                const changes = [
+                    ...diffSlots(before.slots, after.slots, sameItem),
+                    ...diffSlots(before.equipment, after.equipment, sameItem)
+                ].filter(change =>
+                    (!types || types.includes(change.before?.typeId) || types.includes(change.after?.typeId)) &&
+                    (!slots || slots.includes(change.slot)));
+                if (changes.length > 0)
+                    callBack({ player, changes });
+            }
+            cursor = players.length > 0 ? (cursor + count) % players.length : 0;
+        });
+        return combine([subscription], [snapshots]);
+    }
+
+
+    /**
+     * Detects players going idle (AFK) and becoming active again.
+     *
+     * Activity signals:
+     * - `movement`: moving at least `minMovement` blocks. Being carried while riding an entity does not count.
+     * - `rotation`: turning at least `minRotation` degrees. Spinning at a constant speed, as AFK macros do, does not count.
+     * - `chat`: sending a chat message (requires the Beta APIs)
+     * - `interaction`: using an item, interacting with, breaking, placing or hitting something
+     *
+     * @param {function({type: "idle" | "active", player: Player, idleTime: number, signal?: "movement" | "rotation" | "chat" | "interaction"})} callBack
+     * `idleTime` is the number of ticks since the player's last activity, `signal` is what made an idle player active.
+     * @param {Object} [options]
+     * @param {number} [options.threshold=6000] Ticks without activity before a player is idle.
+     * @param {("movement" | "rotation" | "chat" | "interaction")[]} [options.signals] Signals counted as activity, all of them by default.
+     * @param {number} [options.minMovement=1] Distance in blocks a player must move to count as active.
+     * @param {number} [options.minRotation=15] Degrees a player must turn to count as active.
+     * @param {string[]} [options.gameModes] Only watch players in one of these game modes.
+     * @param {string[]} [options.tags] Only watch players having all of these tags.
+     * @returns {EventSubscription & {getIdleTime: (player: Player) => number}}
+     * `getIdleTime` gives the ticks since the last activity of a player, 0 if the player is not watched.
+     *
+     * @example
+     * import { world } from "@minecraft/server"
+     *
+     * const afk = CustomEvents.detectIdle(({ type, player, idleTime }) => {
+     *  if (type === "idle") {
+     *   player.addTag("afk");
+     *  } else {
+     *   player.removeTag("afk");
+     *   player.sendMessage(`Welcome back! You were away for ${Math.floor(idleTime / 20)} seconds`);
+     *  }
+     * }, { threshold: 20 * 60 * 5 });
+     *
+     * // Idle time of everyone, at any time
+     * for (const player of world.getAllPlayers())
+     *  console.log(`${player.name} has been idle for ${afk.getIdleTime(player) / 20} seconds`);
+     */
+    static detectIdle(callBack, options = {}) {
+        const {
+            threshold = 6000,
+            signals = ["movement", "rotation", "chat", "interaction"],
+            minMovement = 1,
+            minRotation = 15
+        } = options;
+        const store = new PlayerStateStore((player) => ({
+            lastActive: system.currentTick,
+            idle: false,
+            location: player.location,
+            rotation: player.getRotation(),
+            previousRotation: player.getRotation(),
+            yawSpeed: 0
+        }));
+        const activate = (player, signal) => {
+            const state = store.get(player);
+            const tick = system.currentTick;
+            if (state.idle) {
+                state.idle = false;
+                callBack({ type: "active", player, idleTime: tick - state.lastActive, signal });
+            }
+            state.lastActive = tick;
+        };
+        const subscriptions = [
+            bus.on("playerTick", (players) => {
+                const tick = system.currentTick;
+                for (const player of players) {
+                    if (!matchesPlayer(player, options)) {
+                        store.delete(player);
+                        continue;
+                    }
+                    const state = store.get(player);
+                    const { location } = player;
+                    const rotation = player.getRotation();
+                    if (signals.includes("movement")) {
+                        if (player.getComponent("riding")?.entityRidingOn) {
+                            // Moved by the mount, not by the player
+                            state.location = location;
+                        } else if (Math.hypot(location.x - state.location.x, location.y - state.location.y, location.z - state.location.z) >= minMovement) {
+                            state.location = location;
+                            activate(player, "movement");
+                        }
+                    }
+                    if (signals.includes("rotation")) {
+                        const yawSpeed = ((rotation.y - state.previousRotation.y + 540) % 360) - 180;
+                        const turned = Math.max(
+                            Math.abs(((rotation.y - state.rotation.y + 540) % 360) - 180),
+                            Math.abs(rotation.x - state.rotation.x)
+                        );
+                        // A constant turning speed is a macro spinning the player
+                        const steady = Math.abs(yawSpeed - state.yawSpeed) < 0.5 && yawSpeed !== 0;
+                        state.yawSpeed = yawSpeed;
+                        state.previousRotation = rotation;
+                        if (turned >= minRotation) {
+                            state.rotation = rotation;
+                            if (!steady) activate(player, "rotation");
+                        }
+                    }
+                    if (!state.idle && tick - state.lastActive >= threshold) {
+                        state.idle = true;
+                        callBack({ type: "idle", player, idleTime: tick - state.lastActive });
+                    }
+                }
+            })
+        ];
+        const onSignal = (signal) => (player) => {
+            if (player && matchesPlayer(player, options)) activate(player, signal);
+        };
+        if (signals.includes("chat"))
+            subscriptions.push(bus.on("chatSend", ({ sender }) => onSignal("chat")(sender)));
+        if (signals.includes("interaction"))
+            subscriptions.push(bus.on("playerInteract", onSignal("interaction")));
+        return {
+            ...combine(subscriptions, [store]),
+            getIdleTime: (player) => store.has(player) ? system.currentTick - store.get(player).lastActive : 0
+        };
     }
 
 }
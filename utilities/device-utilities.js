@@ -0,0 +1,225 @@
+import { system, Player } from "@minecraft/server";
+import { CustomEvents, PlayerStateStore } from "./custom-events.js";
+
+/** @typedef {import("./custom-events.js").EventSubscription} EventSubscription */
+
+/**
+ * A device detection rule. Every property given must match the player's `clientSystemInfo`,
+ * the first matching rule of the table wins.
+ * Rules are plain data so a table can be stored as JSON, e.g. in a world dynamic property.
+ * @typedef {Object} DeviceRule
+ * @property {string} id Name of the rule, reported in {@link DeviceInfo.rule}
+ * @property {string | null} [platform] `platformType` to match. `null` matches clients not reporting one.
+ * @property {number} [memoryTier] `memoryTier` to match
+ * @property {number | {min?: number, max?: number}} [maxRenderDistance] `maxRenderDistance` to match, exactly or within a range
+ * @property {string} device Guessed device
+ * @property {string[]} [candidates] Every device the rule can't tell apart, the guessed one included
+ * @property {number} confidence How reliable the guess is, from 0 to 1
+ */
+
+/**
+ * @typedef {Object} DeviceInfo
+ * @property {"Desktop" | "Mobile" | "Console" | "Unknown"} platform Platform reported by the client
+ * @property {string} device Guessed device, "Unknown Device" if no rule matched
+ * @property {string[]} candidates Devices the player may be using
+ * @property {"KeyboardAndMouse" | "Touch" | "Gamepad" | "MotionController" | "Unknown"} inputMode Last input mode used
+ * @property {boolean} inputModeReported True if the client reported the input mode, false if it is guessed from the platform
+ * @property {number} confidence Confidence of the device guess, from 0 to 1
+ * @property {string | undefined} rule Id of the matched rule
+ * @property {number | undefined} memoryTier
+ * @property {number | undefined} maxRenderDistance
+ */
+
+/**
+ * Default rules, based on the default settings of each device.
+ * Xbox One and PS4 share the same defaults, so they can't be told apart.
+ * Unmatched consoles are left to "Unknown Device", as `getDevice` has always reported, their platform is still "Console".
+ * @type {ReadonlyArray<DeviceRule>}
+ */
+export const DEFAULT_DEVICE_RULES = Object.freeze([
+    { id: "bot-no-platform", platform: null, device: "Bot", confidence: 0.9 },
+    { id: "bot-render-distance-low", maxRenderDistance: { max: 5 }, device: "Bot", confidence: 0.8 },
+    { id: "bot-render-distance-high", maxRenderDistance: { min: 97 }, device: "Bot", confidence: 0.8 },
+    { id: "desktop", platform: "Desktop", device: "Windows", confidence: 0.9 },
+    { id: "mobile-android", platform: "Mobile", maxRenderDistance: { min: 17 }, device: "Android", candidates: ["Android", "iOS"], confidence: 0.6 },
+    { id: "mobile-ios", platform: "Mobile", device: "iOS", candidates: ["iOS", "Android"], confidence: 0.5 },
+    { id: "console-switch", platform: "Console", memoryTier: 3, maxRenderDistance: 12, device: "Nintendo Switch", confidence: 0.8 },
+    { id: "console-xbox-series-s", platform: "Console", memoryTier: 4, maxRenderDistance: 36, device: "Xbox Series S", confidence: 0.8 },
+    { id: "console-xbox-series-x", platform: "Console", memoryTier: 5, maxRenderDistance: 36, device: "Xbox Series X", confidence: 0.8 },
+    { id: "console-xbox-one-ps4", platform: "Console", memoryTier: 4, maxRenderDistance: 16, device: "Xbox One", candidates: ["Xbox One", "PS4"], confidence: 0.4 },
+    { id: "console-ps4-pro", platform: "Console", memoryTier: 4, maxRenderDistance: 18, device: "PS4 Pro", confidence: 0.7 },
+    { id: "console-ps5", platform: "Console", memoryTier: 4, maxRenderDistance: 28, device: "PS5", confidence: 0.7 }
+].map(rule => Object.freeze(rule)));
+
+/** Input mode most likely used on each platform, when the client does not report it */
+const DEFAULT_INPUT_MODES = { Desktop: "KeyboardAndMouse", Mobile: "Touch", Console: "Gamepad" };
+
+/** @type {DeviceRule[]} */
+let rules = [...DEFAULT_DEVICE_RULES];
+
+/** @type {PlayerStateStore<DeviceInfo | undefined> | undefined} */
+let cache;
+
+/**
+ * Gets the detection cache, created on first use so importing this module doesn't subscribe to any event.
+ * @returns {PlayerStateStore<DeviceInfo | undefined>}
+ */
+function getCache() {
+    return cache ??= new PlayerStateStore(() => undefined);
+}
+
+/**
+ * Checks if a value matches an exact value or a range of a rule.
+ * @param {number | undefined} value
+ * @param {number | {min?: number, max?: number}} expected
+ * @returns {boolean}
+ */
+function matchesNumber(value, expected) {
+    if (typeof expected === "number") return value === expected;
+    if (typeof value !== "number") return false;
+    return value >= (expected.min ?? -Infinity) && value <= (expected.max ?? Infinity);
+}
+
+/**
+ * @param {DeviceRule} rule
+ * @param {{platformType?: string | null, memoryTier?: number, maxRenderDistance?: number}} info
+ * @returns {boolean}
+ */
+function matchesRule(rule, info) {
+    if (rule.platform !== undefined && (rule.platform === null ? info.platformType != null : rule.platform !== info.platformType)) return false;
+    if (rule.memoryTier !== undefined && rule.memoryTier !== info.memoryTier) return false;
+    if (rule.maxRenderDistance !== undefined && !matchesNumber(info.maxRenderDistance, rule.maxRenderDistance)) return false;
+    return true;
+}
+
+/**
+ * Detects the platform, device and input mode of players from their client system info.
+ *
+ * Devices can only be guessed from default settings, so each result comes with a confidence and the rule that matched.
+ * The rule table can be replaced at runtime, e.g. when a game update changes the defaults of a device.
+ *
+ * @example
+ * import { world } from "@minecraft/server"
+ *
+ * world.afterEvents.playerSpawn.subscribe(({ player, initialSpawn }) => {
+ *  if (!initialSpawn) return;
+ *  const { device, inputMode, confidence } = DeviceDetector.get(player);
+ *  if (inputMode === "Touch") player.sendMessage("Tip: hold the screen to use abilities");
+ *  console.warn(`${player.name} plays on ${device} (${Math.round(confidence * 100)}% sure)`);
+ * });
+ */
+export class DeviceDetector {
+
+    /**
+     * Detects the device of a player, without using the cache.
+     * @param {Player} player
+     * @returns {DeviceInfo}
+     */
+    static detect(player) {
+        const info = player.clientSystemInfo ?? {};
+        const rule = rules.find(rule => matchesRule(rule, info));
+        const reportedInput = player.inputInfo?.lastInputModeUsed;
+        return {
+            platform: info.platformType ?? "Unknown",
+            device: rule?.device ?? "Unknown Device",
+            candidates: rule ? [...(rule.candidates ?? [rule.device])] : [],
+            inputMode: reportedInput ?? DEFAULT_INPUT_MODES[info.platformType] ?? "Unknown",
+            inputModeReported: reportedInput !== undefined,
+            confidence: rule?.confidence ?? 0,
+            rule: rule?.id,
+            memoryTier: info.memoryTier,
+            maxRenderDistance: info.maxRenderDistance
+        };
+    }
+
+    /**
+     * Gets the device of a player, detecting it the first time and caching it until the player leaves.
+     * @param {Player} player
+     * @param {boolean} [refresh=false] Detect again instead of using the cache.
+     * @returns {DeviceInfo}
+     */
+    static get(player, refresh = false) {
+        const store = getCache();
+        let info = store.get(player);
+        if (refresh || !info)
+            store.set(player, info = DeviceDetector.detect(player));
+        return info;
+    }
+
+    /**
+     * @returns {DeviceRule[]} A copy of the current rule table.
+     */
+    static getRules() {
+        return [...rules];
+    }
+
+    /**
+     * Replaces the rule table and clears the cache.
+     * @param {DeviceRule[]} newRules Rules, in the order they are tried
+     * @throws If a rule has no id, device or confidence.
+     * @example
+     * import { world } from "@minecraft/server"
+     *
+     * // Rules saved by an admin command, applied without updating the pack
+     * const saved = world.getDynamicProperty("device_rules");
+     * if (typeof saved === "string") DeviceDetector.setRules(JSON.parse(saved));
+     */
+    static setRules(newRules) {
+        for (const rule of newRules) {
+            if (typeof rule.id !== "string" || typeof rule.device !== "string" || typeof rule.confidence !== "number")
+                throw new Error(`Invalid device rule ${JSON.stringify(rule)}: id, device and confidence are required.`);
+        }
+        rules = [...newRules];
+        cache?.clear();
+    }
+
+    /**
+     * Adds a rule to the table and clears the cache.
+     * @param {DeviceRule} rule
+     * @param {string} [before] Id of the rule to insert it before. Added first if omitted, so it overrides the defaults.
+     * @throws If the rule is invalid or `before` is not in the table.
+     * @example
+     * DeviceDetector.addRule({ id: "switch-2", platform: "Console", memoryTier: 4, maxRenderDistance: 24, device: "Nintendo Switch 2", confidence: 0.6 });
+     */
+    static addRule(rule, before) {
+        const index = before === undefined ? 0 : rules.findIndex(({ id }) => id === before);
+        if (index === -1)
+            throw new Error(`No device rule with the id "${before}".`);
+        DeviceDetector.setRules([...rules.slice(0, index), rule, ...rules.slice(index)]);
+    }
+
+    /**
+     * Restores {@link DEFAULT_DEVICE_RULES} and clears the cache.
+     */
+    static resetRules() {
+        DeviceDetector.setRules(DEFAULT_DEVICE_RULES);
+    }
+
+    /**
+     * Detects players changing device or input mode, e.g. plugging a controller in on desktop.
+     * Players are checked every `interval` ticks, the cache is updated with the new detection.
+     * @param {function({player: Player, previous: DeviceInfo, current: DeviceInfo})} callBack
+     * @param {Object} [options]
+     * @param {number} [options.interval=20] Ticks between checks.
+     * @param {("platform" | "device" | "inputMode")[]} [options.fields] Fields compared, all of them by default.
+     * @returns {EventSubscription}
+     * @example
+     * DeviceDetector.onDeviceChange(({ player, current }) => {
+     *  player.sendMessage(`Switched to ${current.inputMode} controls`);
+     * }, { fields: ["inputMode"] });
+     */
+    static onDeviceChange(callBack, options = {}) {
+        const { interval = 20, fields = ["platform", "device", "inputMode"] } = options;
+        return CustomEvents.bus.on("playerTick", (players) => {
+            if (system.currentTick % interval !== 0) return;
+            const store = getCache();
+            for (const player of players) {
+                const previous = store.peek(player);
+                const current = DeviceDetector.detect(player);
+                store.set(player, current);
+                if (previous && fields.some(field => previous[field] !== current[field]))
+                    callBack({ player, previous, current });
+            }
+        });
+    }
+}
@@ -1,8 +1,13 @@
+import { DeviceDetector } from "./device-utilities.js";
+import { heightmap } from "./heightmap-utilities.js";
+import { RidingUtils } from "./riding-utilities.js";
+
 /**
  * Gets the platform/device the player is using.
  * @author Vyse
  * @param {Player} player
  * @returns {string}
+ * @see DeviceDetector for the platform, input mode and confidence of the guess.
  * @example
  * import { world } from "@minecraft/server"
  * 
@@ -10,29 +15,13 @@
  * getDevice(player);
  */
 export function getDevice(player) {
-    const { platformType, memoryTier, maxRenderDistance } = player.clientSystemInfo;
-    if (maxRenderDistance < 6 || maxRenderDistance > 96 || platformType === null) return "Bot";
-    if (platformType === "Desktop") return "Windows";
-    if (platformType === "Mobile") {
-      return maxRenderDistance > 16 ? "Android" : "iOS";
-    }
-    if (platformType === "Console") {
-      if (memoryTier === 3 && maxRenderDistance === 12) return "Nintendo Switch";
-      if (memoryTier === 4 && maxRenderDistance === 36) return "Xbox Series S";
-      if (memoryTier === 5 && maxRenderDistance === 36) return "Xbox Series X";
-      if (memoryTier === 4) {
-        if (player.name.match(/[_-]/g) && maxRenderDistance === 16) return "PS4";
-        if (maxRenderDistance === 16) return "Xbox One";
-        if (maxRenderDistance === 18) return "PS4 Pro";
-        if (maxRenderDistance === 28) return "PS5";
-      }
-    }
-    return "Unknown Device";
+    return DeviceDetector.get(player).device;
 }
 
 /**
  * Move an entity to a location using applyKnockback or applyImpulse
-
+ * Returns zero values when the entity is already at the location.
+ * For movement over several ticks, see `SteeringController` in movement-utilities.js.
  * @author Coddy
  * @param {Entity} entity The entity to move towards a location
  * @param {Vector3} targetPos The location to move the entity to
@@ -55,10 +44,12 @@ export function moveToLocation(entity, targetPos, speed) {
     const pos = entity.location;
     const dx = targetPos.x - pos.x, dy = targetPos.y - pos.y, dz = targetPos.z - pos.z;
     const mag = Math.sqrt(dx * dx + dy * dy + dz * dz);
-    if (!mag) return null;
+    const isPlayer = entity.typeId === 'minecraft:player';
+    if (!mag) return isPlayer ? { x: 0, z: 0, strength: 0, y: 0 } : { x: 0, y: 0, z: 0 };
     const x = (dx / mag) * speed, y = (dy / mag) * speed, z = (dz / mag) * speed;
-    if (entity.typeId === 'minecraft:player') {
+    if (isPlayer) {
       const hMag = Math.sqrt(x * x + z * z);
+      if (!hMag) return { x: 0, z: 0, strength: 0, y };
       return { x: x / hMag, z: z / hMag, strength: hMag, y };
     }
     return { x, y, z };
@@ -70,6 +61,7 @@ export function moveToLocation(entity, targetPos, speed) {
  * @author Serty
  * @param {Player} player The player to test if they are underground
  * @returns {boolean}
+ * @see HeightmapCache for cave depth and sky distance, answered from the same cache.
  * @example
  * import { world } from "@minecraft/server"
  * 
@@ -77,16 +69,7 @@ export function moveToLocation(entity, targetPos, speed) {
  * isUnderground(player);
  */
 export function isUnderground(player) {
-    if (player.dimension.heightRange.min > player.location.y) return true;
-    if (player.dimension.heightRange.max < player.location.y) return false;
-  
-    let block = player.dimension.getTopmostBlock(player.location)
-    if (player.location.y >= block.y) return false
-    while (!block.isSolid && block.y > player.dimension.heightRange.min) {
-      if (player.location.y >= block.y) return false
-      block = block.below()
-    }
-    return true
+    return heightmap.isUnderground(player);
 }
 
 /**
@@ -100,23 +83,7 @@ export function isUnderground(player) {
  * isPlayerOnSurface(player);
  */
 export function isPlayerOnSurface(player) {
-    const location = player.location;
-    const blockBelow = player.dimension.getBlock(new Vec3(player.location.x, player.location.y, player.location.z).subtract({ x: 0, y: 1, z: 0 }));
-    const blockAbove = player.dimension.getBlock(new Vec3(location.x, location.y, location.z).add({ x: 0, y: 1, z: 0 }));
-
-    const isSolidGround = blockBelow && blockBelow.typeId !== "minecraft:air";
-    const hasOpenSky = !blockAbove || blockAbove.typeId === "minecraft:air";
-
-    if (isSolidGround && hasOpenSky) {
-        for (let y = Math.ceil(location.y) + 1; y < 320; y++) {
-            const block = player.dimension.getBlock(new Vec3(location.x, y, location.z));
-            if (block && block.typeId !== "minecraft:air") {
-                return false;
-            }
-        }
-        return true;
-    }
-    return false;
+    return heightmap.isOnSurface(player);
 }
 
 /**
@@ -124,13 +91,15 @@ export function isPlayerOnSurface(player) {
  * @author GST378
  * @author finnafinest_
  * @param {Player} player The player to get the Cardinal direction of
+ * @param {number} [verticalCutoff=85] Pitch above which the direction is "up" or "down"
  * @returns {"up"|"down"|"north"|"east"|"south"|"west"}
+ * Yaw 0 gives "north" and yaw 90 "east", as it always has. This is the opposite of the game's own directions,
+ * where yaw 0 faces south: use CompassUtils for those, and for 8 and 16 point headings.
  */
-export function getCardinalDirection(player) {
-    const yaw = player.getRotation().y;
-    const pitch = player.getRotation().x;
-    if (pitch > 85) return 'down';
-    if (pitch < -85) return 'up';
+export function getCardinalDirection(player, verticalCutoff = 85) {
+    const { x: pitch, y: yaw } = player.getRotation();
+    if (pitch > verticalCutoff) return 'down';
+    if (pitch < -verticalCutoff) return 'up';
     if (yaw >= -45 && yaw < 45) return 'north';
     else if (yaw >= 45 && yaw < 135) return 'east';
     else if (yaw >= 135 || yaw < -135) return 'south';
@@ -141,31 +110,16 @@ export function getCardinalDirection(player) {
  * Checks if a player is riding a specific entity type.
  * @param {Player} player Player to check if riding an entity
  * @param {string} entityType Type ID of the entity to check, example: "minecraft:horse"
- * @returns {boolean}
+ * @returns {boolean} False if the player is not riding anything.
+ * @see RidingUtils to match tags or predicates, and to get the whole mount chain.
  * @example
  * import { world } from "@minecraft/server"
  * 
  * const player = world.getPlayers()[0];
  * const isRidingPlayer = isRidingEntity(player, "minecraft:horse");
- * @throws If player is not a Player.
- * @throws if Player doesn't have a `riding` component
  */
 export function isRidingEntity(player, entityType) {
-    // Validate the player object
-    if (!player || typeof player.getComponent !== 'function') {
-        throw new Error('Invalid player object provided. Player must have a `getComponent` method.');
-    }
-    // Safely get the 'riding' component
-    const riding = player.getComponent('riding');
-    // Validate the riding component and entityRidingOn
-    if (!riding) {
-        throw new Error('Player does not have a `riding` component.');
-    }
-    if (!riding.entityRidingOn) {
-        throw new Error('Player is not riding any entity.');
-    }
-    // Compare the typeId of the entity being ridden with the provided entityType
-    return riding.entityRidingOn.typeId === entityType;
+    return RidingUtils.isRiding(player, entityType);
 }
 
 
@@ -0,0 +1,232 @@
+import { world, system, Dimension, Entity } from "@minecraft/server";
+
+/**
+ * Heights of one block column.
+ * @typedef {Object} ColumnHeights
+ * @property {number} top Y of the topmost non-air block. Anything above it sees the sky.
+ * @property {number} ground Y of the topmost solid block, ignoring water, tall grass, flowers...
+ * Both are one below the bottom of the dimension when the column is empty.
+ */
+
+/** Marks a column that was not read yet, or was invalidated */
+const UNKNOWN = -0x8000;
+
+/**
+ * Cached heights of the 16x16 columns of a chunk.
+ * @typedef {{top: Int16Array, ground: Int16Array, readAt: Int32Array}} ChunkHeights
+ */
+
+/**
+ * @returns {ChunkHeights}
+ */
+function createChunk() {
+    return {
+        top: new Int16Array(256).fill(UNKNOWN),
+        ground: new Int16Array(256).fill(UNKNOWN),
+        readAt: new Int32Array(256)
+    };
+}
+
+/**
+ * Caches the height of block columns, by chunk, so surface and underground checks don't walk the world every call.
+ *
+ * Columns are read lazily, the first time they are queried. Block events are only subscribed to from the first query. A column is read again when a block is placed, broken or
+ * exploded in it, or once it is older than `maxAge` ticks, to catch changes made without events (commands, growing trees, flowing water...).
+ * Columns in unloaded chunks are not cached, and queries on them return undefined.
+ *
+ * @example
+ * import { world, system } from "@minecraft/server"
+ *
+ * system.runInterval(() => {
+ *  for (const player of world.getAllPlayers())
+ *   if (heightmap.isUnderground(player)) player.onScreenDisplay.setActionBar(`Depth: ${heightmap.getCaveDepth(player.dimension, player.location)}`);
+ * });
+ */
+export class HeightmapCache {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxAge=1200] Ticks after which a column is read again.
+     * @param {number} [options.maxChunks=1024] Chunks kept in the cache, the least recently used ones are dropped first.
+     */
+    constructor({ maxAge = 1200, maxChunks = 1024 } = {}) {
+        /** @private */
+        this.maxAge = maxAge;
+        /** @private */
+        this.maxChunks = maxChunks;
+        /** @private @type {Map<string, ChunkHeights>} */
+        this.chunks = new Map();
+        /** @private @type {[any, Function][] | undefined} Block change subscriptions, made by the first query */
+        this.subscriptions = undefined;
+    }
+
+    /**
+     * @returns {number} Number of cached chunks.
+     */
+    get size() {
+        return this.chunks.size;
+    }
+
+    /**
+     * Gets the heights of the column of a location.
+     * @param {Dimension} dimension
+     * @param {number} x
+     * @param {number} z
+     * @returns {ColumnHeights | undefined} Undefined if the column is in an unloaded chunk.
+     */
+    getColumn(dimension, x, z) {
+        x = Math.floor(x);
+        z = Math.floor(z);
+        if (!this.subscriptions) {
+            const invalidate = ({ block }) => this.invalidate(block.dimension, block.location);
+            const signals = [world.afterEvents.playerPlaceBlock, world.afterEvents.playerBreakBlock, world.afterEvents.blockExplode];
+            this.subscriptions = signals.map(signal => [signal, signal.subscribe(invalidate)]);
+        }
+        const key = `${dimension.id}:${x >> 4},${z >> 4}`;
+        let chunk = this.chunks.get(key);
+        if (chunk) {
+            // Move it to the end, so the oldest entry is the least recently used
+            this.chunks.delete(key);
+        } else {
+            chunk = createChunk();
+        }
+        this.chunks.set(key, chunk);
+        if (this.chunks.size > this.maxChunks)
+            this.chunks.delete(this.chunks.keys().next().value);
+
+        const index = ((x & 15) << 4) | (z & 15);
+        if (chunk.top[index] !== UNKNOWN && system.currentTick - chunk.readAt[index] < this.maxAge)
+            return { top: chunk.top[index], ground: chunk.ground[index] };
+        const heights = HeightmapCache.readColumn(dimension, x, z);
+        if (!heights) return undefined;
+        chunk.top[index] = heights.top;
+        chunk.ground[index] = heights.ground;
+        chunk.readAt[index] = system.currentTick;
+        return heights;
+    }
+
+    /**
+     * Forgets the column of a location, it is read again on the next query.
+     * @param {Dimension} dimension
+     * @param {Vector3} location
+     */
+    invalidate(dimension, { x, z }) {
+        x = Math.floor(x);
+        z = Math.floor(z);
+        const chunk = this.chunks.get(`${dimension.id}:${x >> 4},${z >> 4}`);
+        if (chunk) chunk.top[((x & 15) << 4) | (z & 15)] = UNKNOWN;
+    }
+
+    /**
+     * Forgets every cached column.
+     */
+    clear() {
+        this.chunks.clear();
+    }
+
+    /**
+     * Clears the cache and stops listening for block changes, until the next query.
+     */
+    dispose() {
+        this.subscriptions?.forEach(([signal, callback]) => signal.unsubscribe(callback));
+        this.subscriptions = undefined;
+        this.clear();
+    }
+
+    /**
+     * Checks if nothing but air is above a location.
+     * @param {Dimension} dimension
+     * @param {Vector3} location
+     * @returns {boolean | undefined} Undefined if the location is in an unloaded chunk.
+     */
+    isExposedToSky(dimension, location) {
+        const distance = this.getSkyDistance(dimension, location);
+        return distance === undefined ? undefined : distance === 0;
+    }
+
+    /**
+     * Gets how far above a location the open sky is.
+     * @param {Dimension} dimension
+     * @param {Vector3} location
+     * @returns {number | undefined} Blocks to go up to see the sky, 0 if the location already sees it.
+     * Undefined if the location is in an unloaded chunk.
+     */
+    getSkyDistance(dimension, location) {
+        const column = this.getColumn(dimension, location.x, location.z);
+        if (!column) return undefined;
+        return Math.max(0, column.top + 1 - Math.floor(location.y));
+    }
+
+    /**
+     * Gets how deep below the ground a location is, e.g. the depth of a cave.
+     * @param {Dimension} dimension
+     * @param {Vector3} location
+     * @returns {number | undefined} Blocks between the location and the top of the ground, 0 if above the ground.
+     * Undefined if the location is in an unloaded chunk.
+     */
+    getCaveDepth(dimension, location) {
+        const column = this.getColumn(dimension, location.x, location.z);
+        if (!column) return undefined;
+        return Math.max(0, column.ground - Math.floor(location.y));
+    }
+
+    /**
+     * Checks if an entity is below the ground of its column.
+     * Below the bottom of the dimension counts as underground, above its top does not.
+     * @param {Entity} entity
+     * @returns {boolean} False if the entity is in an unloaded chunk.
+     */
+    isUnderground(entity) {
+        const { dimension, location } = entity;
+        if (location.y < dimension.heightRange.min) return true;
+        if (location.y >= dimension.heightRange.max) return false;
+        return (this.getCaveDepth(dimension, location) ?? 0) > 0;
+    }
+
+    /**
+     * Checks if an entity stands on the topmost solid block of its column.
+     * Only non-solid blocks can be above it, e.g. the tall grass or snow layer it stands in.
+     * @param {Entity} entity
+     * @returns {boolean} False if the entity is in an unloaded chunk.
+     */
+    isOnSurface(entity) {
+        const { dimension, location } = entity;
+        const column = this.getColumn(dimension, location.x, location.z);
+        return !!column && column.ground >= dimension.heightRange.min && Math.floor(location.y) === column.ground + 1;
+    }
+
+    /**
+     * Reads the heights of a column from the world.
+     * @private
+     * @param {Dimension} dimension
+     * @param {number} x
+     * @param {number} z
+     * @returns {ColumnHeights | undefined} Undefined if the column is in an unloaded chunk.
+     */
+    static readColumn(dimension, x, z) {
+        const empty = dimension.heightRange.min - 1;
+        let block;
+        try {
+            block = dimension.getTopmostBlock({ x, z });
+        } catch {
+            return undefined;
+        }
+        if (!block) {
+            // Either an empty column or an unloaded chunk
+            try {
+                if (!dimension.getBlock({ x, y: dimension.heightRange.min, z })) return undefined;
+            } catch {
+                return undefined;
+            }
+            return { top: empty, ground: empty };
+        }
+        const top = block.location.y;
+        while (block && !block.isSolid)
+            block = block.location.y > dimension.heightRange.min ? block.below() : undefined;
+        return { top, ground: block ? block.location.y : empty };
+    }
+}
+
+/**
+ * Heightmap shared by the entity utilities.
+ */
+export const heightmap = new HeightmapCache();
@@ -1,4 +1,212 @@
-import { Player } from "@minecraft/server";
+import { world, Player, ItemStack, EquipmentSlot } from "@minecraft/server";
+import { ItemCodec, EQUIPMENT_SLOTS } from "./itemstack-utilities.js";
+import { ChunkedStorage } from "./storage-utilities.js";
+
+/** @typedef {import("./itemstack-utilities.js").ItemData} ItemData */
+
+/**
+ * Prefix of the world dynamic properties holding the mailbox of each player, followed by the player id.
+ * Kept on the world so restoring a snapshot of a player doesn't bring back claimed items.
+ */
+const MAILBOX_PREFIX = "mailbox:";
+
+/**
+ * What an item is compared against:
+ * - a type id, e.g. `"minecraft:iron_ingot"`. The `minecraft:` namespace can be left out.
+ * - an object with a `typeId`, `tag`, `nameTag` and/or `where` function, all of which must match
+ * - a function receiving the item
+ * @typedef {string | {typeId?: string, tag?: string, nameTag?: string, where?: (item: ItemStack) => boolean} | ((item: ItemStack) => boolean)} ItemMatcher
+ */
+
+/**
+ * Items and amounts to pay, e.g. `{ "minecraft:iron_ingot": 3, "minecraft:diamond": 1 }`,
+ * or a list to use other matchers: `[{ item: { tag: "minecraft:planks" }, amount: 4 }]`.
+ * @typedef {Record<string, number> | {item: ItemMatcher, amount: number}[]} ItemCost
+ */
+
+/**
+ * @typedef {Object} CostReport
+ * @property {boolean} satisfied True if the player has every item of the cost
+ * @property {{item: ItemMatcher, label: string, required: number, available: number, missing: number}[]} requirements
+ * One entry per item of the cost. `label` names the item for messages: its type id, `#tag`, name, or "custom item".
+ * Items matching several requirements are only counted once, for the first one.
+ * @property {{label: string, missing: number}[]} shortfall The requirements the player lacks items for
+ */
+
+/**
+ * Items to give: an ItemStack, or an item and an amount, which can be larger than a stack.
+ * The amount defaults to 1 for a type id, and to the amount of the ItemStack otherwise.
+ * @typedef {ItemStack | {item: ItemStack | string, amount?: number}} GiveEntry
+ */
+
+/**
+ * @typedef {Object} GiveResult
+ * @property {boolean} success False if the items were rejected, nothing was given then
+ * @property {{slot: number, typeId: string, amount: number, merged: boolean}[]} placed
+ * Amount put in each slot, `merged` when added to a stack already there
+ * @property {ItemStack[]} overflow Stacks that didn't fit
+ * @property {"drop" | "mailbox" | "reject" | undefined} overflowTo Where the overflow went, undefined if everything fit
+ */
+
+/**
+ * @typedef {Object} SlotItem
+ * @property {number | EquipmentSlot} slot
+ * @property {ItemStack} item
+ * @property {(item: ItemStack | undefined) => void} set
+ */
+
+/**
+ * @param {string} typeId
+ * @returns {string}
+ */
+function withNamespace(typeId) {
+    return typeId.includes(":") ? typeId : `minecraft:${typeId}`;
+}
+
+/**
+ * @param {ItemMatcher} matcher
+ * @returns {{test: (item: ItemStack) => boolean, label: string}}
+ */
+function compileMatcher(matcher) {
+    if (typeof matcher === "function") return { test: matcher, label: "custom item" };
+    if (typeof matcher === "string") {
+        const typeId = withNamespace(matcher);
+        return { test: item => item.typeId === typeId, label: typeId };
+    }
+    const { typeId, tag, nameTag, where } = matcher;
+    const type = typeId !== undefined ? withNamespace(typeId) : undefined;
+    return {
+        test: item => (type === undefined || item.typeId === type)
+            && (tag === undefined || item.hasTag(tag))
+            && (nameTag === undefined || item.nameTag === nameTag)
+            && (where === undefined || where(item)),
+        label: nameTag ?? type ?? (tag !== undefined ? `#${tag}` : "custom item")
+    };
+}
+
+/**
+ * Gets the filled slots of a player, inventory first, then equipment.
+ * @param {Player} player
+ * @param {boolean} equipment Include worn items and the offhand
+ * @returns {SlotItem[]}
+ */
+function getSlotItems(player, equipment) {
+    const { container } = player.getComponent("inventory");
+    const slots = [];
+    for (let slot = 0; slot < container.size; slot++) {
+        const item = container.getItem(slot);
+        if (item) slots.push({ slot, item, set: item => container.setItem(slot, item) });
+    }
+    const equippable = equipment ? player.getComponent("equippable") : undefined;
+    for (const slot of equippable ? EQUIPMENT_SLOTS : []) {
+        const item = equippable.getEquipment(slot);
+        if (item) slots.push({ slot, item, set: item => equippable.setEquipment(slot, item) });
+    }
+    return slots;
+}
+
+/**
+ * Splits an amount of an item into stacks of at most its max amount.
+ * @param {ItemStack} item
+ * @param {number} amount
+ * @returns {ItemStack[]}
+ */
+function toStacks(item, amount) {
+    const stacks = [];
+    for (let left = amount; left > 0; left -= item.maxAmount) {
+        const stack = item.clone();
+        stack.amount = Math.min(left, item.maxAmount);
+        stacks.push(stack);
+    }
+    return stacks;
+}
+
+/**
+ * Works out where items go in a container, without changing it.
+ * Items first top up matching stacks that aren't full, then fill empty slots.
+ * @param {import("@minecraft/server").Container} container
+ * @param {GiveEntry | GiveEntry[]} items
+ * @returns {{slots: (ItemStack | undefined)[], placed: GiveResult["placed"], overflow: ItemStack[]}}
+ * `slots` holds the new content of the container.
+ * @throws If an amount is not a positive integer, or an item is missing.
+ */
+function planGive(container, items) {
+    /** @type {(ItemStack | undefined)[]} */
+    const slots = [];
+    for (let slot = 0; slot < container.size; slot++)
+        slots.push(container.getItem(slot));
+    const placed = [], overflow = [];
+    for (const entry of Array.isArray(items) ? items : [items]) {
+        const item = entry instanceof ItemStack
+            ? entry
+            : typeof entry?.item === "string" ? new ItemStack(withNamespace(entry.item)) : entry?.item;
+        if (!(item instanceof ItemStack))
+            throw new Error("Items to give must be ItemStacks, or have an item type id or ItemStack.");
+        let left = entry.amount ?? item.amount;
+        if (!Number.isInteger(left) || left <= 0)
+            throw new Error(`Invalid amount ${left} of ${item.typeId} to give, it must be a positive integer.`);
+        for (const merging of [true, false]) {
+            for (let slot = 0; slot < slots.length && left > 0; slot++) {
+                const current = slots[slot];
+                if (merging) {
+                    if (!current || current.amount >= current.maxAmount || !current.isStackableWith(item)) continue;
+                } else if (current) continue;
+                const amount = Math.min(left, merging ? current.maxAmount - current.amount : item.maxAmount);
+                const stack = (current ?? item).clone();
+                stack.amount = (current?.amount ?? 0) + amount;
+                slots[slot] = stack;
+                placed.push({ slot, typeId: item.typeId, amount, merged: merging });
+                left -= amount;
+            }
+        }
+        overflow.push(...toStacks(item, left));
+    }
+    return { slots, placed, overflow };
+}
+
+/**
+ * Writes the slots changed by {@link planGive}.
+ * @param {import("@minecraft/server").Container} container
+ * @param {ReturnType<typeof planGive>} plan
+ */
+function applyGive(container, { slots, placed }) {
+    for (const slot of new Set(placed.map(({ slot }) => slot)))
+        container.setItem(slot, slots[slot]);
+}
+
+/**
+ * Works out which slots pay a cost, without changing them.
+ * Inventory slots are used before equipment, and the smallest stacks first.
+ * @param {SlotItem[]} slots
+ * @param {ItemCost} cost
+ * @returns {{report: CostReport, taken: Map<SlotItem, number>}} Amount taken from each slot
+ */
+function planCost(slots, cost) {
+    const entries = Array.isArray(cost)
+        ? cost
+        : Object.entries(cost).map(([item, amount]) => ({ item, amount }));
+    const order = [...slots.keys()].sort((a, b) => {
+        const equipmentA = typeof slots[a].slot !== "number", equipmentB = typeof slots[b].slot !== "number";
+        return equipmentA !== equipmentB ? (equipmentA ? 1 : -1) : slots[a].item.amount - slots[b].item.amount;
+    });
+    const left = slots.map(({ item }) => item.amount);
+    const taken = new Map();
+    const requirements = entries.map(({ item, amount }) => {
+        const { test, label } = compileMatcher(item);
+        let available = 0;
+        for (const index of order) {
+            if (left[index] === 0 || !test(slots[index].item)) continue;
+            const take = Math.min(left[index], amount - available);
+            available += left[index];
+            if (take <= 0) continue;
+            left[index] -= take;
+            taken.set(slots[index], (taken.get(slots[index]) ?? 0) + take);
+        }
+        return { item, label, required: amount, available, missing: Math.max(0, amount - available) };
+    });
+    const shortfall = requirements.filter(({ missing }) => missing > 0).map(({ label, missing }) => ({ label, missing }));
+    return { report: { satisfied: shortfall.length === 0, requirements, shortfall }, taken };
+}
 
 export class InventoryUtils {
 
@@ -14,6 +222,7 @@ export class InventoryUtils {
       * 
       * const player = world.getPlayers()[0];
       * const hasDiamonds = isHavingItemQuantity(player, "minecraft:diamond", 5);
+      * @see InventoryUtils.countItems to count equipment too, or match items by tag or name.
       */
     static isHavingItemQuantity(player, typeId, required) {
         const inventoryComponent = player.getComponent("inventory");
@@ -42,11 +251,17 @@ export class InventoryUtils {
       * - Lock mode
       * - Keep on death
       * - Amount
+      * - Can place on / can destroy
+      * - Dynamic properties
+      * - Dye color and potion type
+      *
+      * Large inventories are split across several dynamic properties by {@link ChunkedStorage}.
       * @author trayeplays & Remember M9
       * @param {Player} player The player to save the inventory of
       * @param {string} [invName=player.name] Identifier of the dynamic property
       * @param {Player} storage The player to set the dynamic property on
-      * @returns {{items: string[], wornArmor: string[]}}
+      * @returns {{items: (ItemData | null)[], wornArmor: (ItemData | null)[]}}
+      * @see EntitySnapshot to save the location, health, effects... along with the inventory.
       * @example
       * import { world } from "@minecraft/server"
       * 
@@ -55,68 +270,22 @@ export class InventoryUtils {
       * loadInventory(player);
       */
     static saveInventory(player, invName = player.name, storage = player) {
-        let { container, inventorySize } = player.getComponent("inventory");
+        const { container } = player.getComponent("inventory");
+        const equippable = player.getComponent("equippable");
+        const wornArmor = EQUIPMENT_SLOTS.map(slot => ItemCodec.encode(equippable.getEquipment(slot)));
+        ChunkedStorage.set(storage, `armor:${invName}`, wornArmor);
         const items = [];
-        const listOfEquipmentSlots = ["Head", "Chest", "Legs", "Feet", "Offhand"];
-        let wornArmor = [];
-        for (let i = 0; i < listOfEquipmentSlots.length; i++) {
-            const equipment = player.getComponent("equippable").getEquipment(listOfEquipmentSlots[i]);
-            if (!equipment) {
-                wornArmor.push(null);
-                continue;
-            }
-            const data = {
-                typeId: equipment.typeId,
-                props: {
-                    amount: equipment.amount,
-                    keepOnDeath: equipment.keepOnDeath,
-                    lockMode: equipment.lockMode
-                },
-                lore: equipment.getLore(),
-                components: {}
-            };
-            if (equipment.nameTag) data.props.nameTag = equipment.nameTag;
-            if (equipment.hasComponent("enchantable")) {
-                data.components.enchantable = equipment.getComponent("enchantable").getEnchantments().map(e => ({ type: e.type.id, level: e.level }));
-            }
-            if (equipment.hasComponent("durability")) {
-                data.components.durability = equipment.getComponent("durability").damage;
-            }
-            wornArmor.push(data);
-        }
-        storage.setDynamicProperty(`armor:${invName}`, JSON.stringify(wornArmor));
-
-        for (let i = 0; i < inventorySize; i++) {
-            const item = container.getItem(i);
-            if (!item) {
-                items.push(null);
-                continue;
-            }
-            const data = {
-                typeId: item.typeId,
-                props: {
-                    amount: item.amount,
-                    keepOnDeath: item.keepOnDeath,
-                    lockMode: item.lockMode
-                },
-                lore: item.getLore(),
-                components: {}
-            };
-            if (item.nameTag) data.props.nameTag = item.nameTag;
-            if (item.hasComponent("enchantable")) {
-                data.components.enchantable = item.getComponent("enchantable").getEnchantments().map(e => ({ type: e.type.id, level: e.level }));
-            }
-            if (item.hasComponent("durability")) {
-                data.components.durability = item.getComponent("durability").damage;
-            }
-            items.push(data);
-        }
-        storage.setDynamicProperty(`inventory:${invName}`, JSON.stringify(items));
+        for (let i = 0; i < container.size; i++)
+            items.push(ItemCodec.encode(container.getItem(i)));
+        ChunkedStorage.set(storage, `inventory:${invName}`, items);
         return { items, wornArmor };
     }
 
     /**
      * Load the saved inventory 
+     *
+     * Inventories saved by older versions of the library are migrated when loaded.
+     * An item that can't be restored, e.g. from a removed add-on, is reported with `console.error` and its slot left empty.
      * @author trayeplays & Remember M9
      * @param {Player} player The player to load the inventory to.
      * @param {string} [invName=player.name] Identifier of the dynamic property to load the items from
@@ -130,50 +299,164 @@ export class InventoryUtils {
      * loadInventory(player);
      */
     static loadInventory(player, invName = player.name, storage = player) {
-        let { container, inventorySize } = player.getComponent("inventory");
-        const items = JSON.parse(storage.getDynamicProperty(`inventory:${invName}`) ?? "[]");
-        const wornArmor = JSON.parse(storage.getDynamicProperty(`armor:${invName}`) ?? "[]");
-        const listOfEquipmentSlots = ["Head", "Chest", "Legs", "Feet", "Offhand"];
-        for (let i = 0; i < listOfEquipmentSlots.length; i++) {
-            const equipment = player.getComponent("equippable")
-            const data = wornArmor[i];
-            if (!data) {
-                container.setItem(i, null);
+        const { container } = player.getComponent("inventory");
+        const equippable = player.getComponent("equippable");
+        const items = ChunkedStorage.get(storage, `inventory:${invName}`) ?? [];
+        const wornArmor = ChunkedStorage.get(storage, `armor:${invName}`) ?? [];
+        const decode = (data) => ItemCodec.safeDecode(data, `the inventory "${invName}"`);
+        EQUIPMENT_SLOTS.forEach((slot, i) => equippable.setEquipment(slot, decode(wornArmor[i])));
+        for (let i = 0; i < container.size; i++)
+            container.setItem(i, decode(items[i]));
+    }
+
+    /**
+     * Counts the items of a player matching a type, tag, name or function.
+     * @param {Player} player
+     * @param {ItemMatcher} matcher
+     * @param {Object} [options]
+     * @param {boolean} [options.equipment=true] Include worn items and the offhand
+     * @returns {number}
+     * @example
+     * InventoryUtils.countItems(player, "iron_ingot");
+     * InventoryUtils.countItems(player, { tag: "minecraft:is_sword" });
+     * InventoryUtils.countItems(player, { typeId: "minecraft:paper", nameTag: "Quest Letter" });
+     */
+    static countItems(player, matcher, { equipment = true } = {}) {
+        const { test } = compileMatcher(matcher);
+        return getSlotItems(player, equipment)
+            .filter(({ item }) => test(item))
+            .reduce((total, { item }) => total + item.amount, 0);
+    }
+
+    /**
+     * Checks if a player can pay a cost of several items.
+     * @param {Player} player
+     * @param {ItemCost} cost
+     * @param {Object} [options]
+     * @param {boolean} [options.equipment=true] Include worn items and the offhand
+     * @returns {CostReport}
+     * @example
+     * const { satisfied, shortfall } = InventoryUtils.checkCost(player, { "minecraft:iron_ingot": 3, "minecraft:diamond": 1 });
+     * if (!satisfied) player.sendMessage(`Missing ${shortfall.map(({ label, missing }) => `${missing}x ${label}`).join(", ")}`);
+     */
+    static checkCost(player, cost, { equipment = true } = {}) {
+        return planCost(getSlotItems(player, equipment), cost).report;
+    }
+
+    /**
+     * Removes a cost of several items from a player. Nothing is removed unless the player has all of it.
+     * Items are taken from the inventory before the equipment, and from the smallest stacks first.
+     * @param {Player} player
+     * @param {ItemCost} cost
+     * @param {Object} [options]
+     * @param {boolean} [options.equipment=true] Include worn items and the offhand
+     * @returns {CostReport} `satisfied` is true if the cost was removed.
+     * @example
+     * // Shop
+     * if (InventoryUtils.takeCost(player, { "minecraft:emerald": 5 }).satisfied)
+     *  player.getComponent("inventory").container.addItem(new ItemStack("minecraft:diamond_pickaxe"));
+     */
+    static takeCost(player, cost, { equipment = true } = {}) {
+        const { report, taken } = planCost(getSlotItems(player, equipment), cost);
+        if (!report.satisfied) return report;
+        for (const [{ item, set }, amount] of taken) {
+            if (amount >= item.amount) {
+                set(undefined);
             } else {
-                const item = new ItemStack(data.typeId);
-                for (const key in data.props) {
-                    item[key] = data.props[key];
-                }
-                item.setLore(data.lore);
-                if (data.components.enchantable) {
-                    item.getComponent("enchantable").addEnchantments(data.components.enchantable.map(e => ({ ...e, type: new EnchantmentType(e.type) })));
-                }
-                if (data.components.durability) {
-                    item.getComponent("durability").damage = data.components.durability;
-                }
-                equipment.setEquipment(listOfEquipmentSlots[i], item);
+                item.amount -= amount;
+                set(item);
             }
         }
-        for (let i = 0; i < inventorySize; i++) {
-            const data = items[i];
-            if (!data) {
-                container.setItem(i, null);
-            } else {
-                const item = new ItemStack(data.typeId);
-                for (const key in data.props) {
-                    item[key] = data.props[key];
-                }
-                item.setLore(data.lore);
-                if (data.components.enchantable) {
-                    item.getComponent("enchantable").addEnchantments(data.components.enchantable.map(e => ({ ...e, type: new EnchantmentType(e.type) })));
-                }
-                if (data.components.durability) {
-                    item.getComponent("durability").damage = data.components.durability;
-                }
-                container.setItem(i, item);
-            }
+        return report;
+    }
+
+    /**
+     * Removes an exact amount of matching items from a player, spread across slots.
+     * Nothing is removed unless the player has enough.
+     * @param {Player} player
+     * @param {ItemMatcher} matcher
+     * @param {number} amount
+     * @param {Object} [options]
+     * @param {boolean} [options.equipment=true] Include worn items and the offhand
+     * @returns {boolean} True if the items were removed.
+     */
+    static takeItems(player, matcher, amount, options) {
+        return InventoryUtils.takeCost(player, [{ item: matcher, amount }], options).satisfied;
+    }
+
+    /**
+     * Gives items to a player. Items first top up matching stacks that aren't full, then fill empty slots,
+     * never going over the max stack size of the item.
+     * Items that don't fit are handled by the `overflow` policy:
+     * - `drop`: dropped at the player's feet
+     * - `mailbox`: kept for the player, to be claimed with {@link InventoryUtils.claimMailbox}
+     * - `reject`: nothing is given unless everything fits
+     * @param {Player} player
+     * @param {GiveEntry | GiveEntry[]} items
+     * @param {Object} [options]
+     * @param {"drop" | "mailbox" | "reject"} [options.overflow="drop"]
+     * @returns {GiveResult}
+     * @throws If an amount is not a positive integer, or an item is missing.
+     * @example
+     * const { success } = InventoryUtils.giveItems(player, [
+     *  { item: "minecraft:arrow", amount: 200 },
+     *  new ItemStack("minecraft:bow")
+     * ], { overflow: "reject" });
+     * if (!success) player.sendMessage("Make some room in your inventory first");
+     */
+    static giveItems(player, items, { overflow: policy = "drop" } = {}) {
+        const { container } = player.getComponent("inventory");
+        const plan = planGive(container, items);
+        const { placed, overflow } = plan;
+        if (overflow.length > 0 && policy === "reject")
+            return { success: false, placed: [], overflow, overflowTo: "reject" };
+        applyGive(container, plan);
+        if (overflow.length > 0 && policy === "drop") {
+            for (const stack of overflow)
+                player.dimension.spawnItem(stack, player.location);
+        } else if (overflow.length > 0 && policy === "mailbox") {
+            const mailbox = ChunkedStorage.get(world, `${MAILBOX_PREFIX}${player.id}`) ?? [];
+            ChunkedStorage.set(world, `${MAILBOX_PREFIX}${player.id}`, [...mailbox, ...overflow.map(stack => ItemCodec.encode(stack))]);
         }
+        return { success: true, placed, overflow, overflowTo: overflow.length > 0 ? policy : undefined };
     }
 
+    /**
+     * Gets the items waiting in the mailbox of a player.
+     * @param {Player} player
+     * @returns {ItemStack[]}
+     */
+    static getMailbox(player) {
+        return (ChunkedStorage.get(world, `${MAILBOX_PREFIX}${player.id}`) ?? [])
+            .map(data => ItemCodec.safeDecode(data, `the mailbox of ${player.name}`))
+            .filter(Boolean);
+    }
 
+    /**
+     * Gives a player the items of their mailbox that fit in their inventory. The rest stays in the mailbox,
+     * along with the items that can't be restored, e.g. from a removed add-on.
+     * @param {Player} player
+     * @returns {GiveResult}
+     * @example
+     * world.afterEvents.playerSpawn.subscribe(({ player }) => {
+     *  if (InventoryUtils.claimMailbox(player).placed.length) player.sendMessage("You received items from your mailbox");
+     * });
+     */
+    static claimMailbox(player) {
+        const key = `${MAILBOX_PREFIX}${player.id}`;
+        const items = [], undecodable = [];
+        for (const data of ChunkedStorage.get(world, key) ?? []) {
+            const item = ItemCodec.safeDecode(data, `the mailbox of ${player.name}`);
+            if (item) items.push(item);
+            else undecodable.push(data);
+        }
+        const { container } = player.getComponent("inventory");
+        const plan = planGive(container, items);
+        applyGive(container, plan);
+        // Saved in one write once the items are given, so the mailbox never holds items twice nor loses any
+        const left = [...undecodable, ...plan.overflow.map(stack => ItemCodec.encode(stack))];
+        if (left.length > 0) ChunkedStorage.set(world, key, left);
+        else ChunkedStorage.delete(world, key);
+        return { success: true, placed: plan.placed, overflow: plan.overflow, overflowTo: plan.overflow.length > 0 ? "mailbox" : undefined };
+    }
 }
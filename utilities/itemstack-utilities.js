@@ -1,4 +1,4 @@
-import { world, BlockPermutation, ItemStack, EquipmentSlot, system } from "@minecraft/server";
+import { world, BlockPermutation, ItemStack, EquipmentSlot, EnchantmentType, system } from "@minecraft/server";
 
 export class ItemStackUtils {
 
@@ -156,3 +156,249 @@ export class ItemStackUtils {
         })
     }
 }
+
+/**
+ * JSON form of an ItemStack. Properties left at their default are omitted.
+ * @typedef {Object} ItemData
+ * @property {number} version Format version, see {@link ItemCodec.VERSION}
+ * @property {string} typeId
+ * @property {number} amount
+ * @property {string} [nameTag]
+ * @property {string} [lockMode]
+ * @property {boolean} [keepOnDeath]
+ * @property {string[]} [lore]
+ * @property {string[]} [canPlaceOn]
+ * @property {string[]} [canDestroy]
+ * @property {Record<string, string | number | boolean | Vector3>} [dynamicProperties]
+ * @property {Record<string, any>} [components] Data of each registered component, see {@link ItemCodec.registerComponent}
+ */
+
+/**
+ * Saves and restores the data of one item component.
+ * @typedef {Object} ItemComponentCodec
+ * @property {(itemStack: ItemStack) => any} encode Reads the component, returns undefined when there is nothing to save.
+ * @property {(itemStack: ItemStack, data: any) => void} [decode] Writes the saved data back to a new item.
+ * @property {(typeId: string, data: any) => ItemStack | undefined} [create] Creates the item instead of `new ItemStack(typeId)`,
+ * for items that can only be made by a factory, such as potions.
+ */
+
+/**
+ * Equipment slots holding the worn items and the offhand, in the order inventories are saved.
+ * The mainhand is left out, as it is the selected slot of the inventory.
+ * @type {ReadonlyArray<EquipmentSlot>}
+ */
+export const EQUIPMENT_SLOTS = Object.freeze([EquipmentSlot.Head, EquipmentSlot.Chest, EquipmentSlot.Legs, EquipmentSlot.Feet, EquipmentSlot.Offhand]);
+
+/** @type {Map<string, ItemComponentCodec>} */
+const componentCodecs = new Map();
+
+/** @type {Map<number, (data: Object) => Object>} */
+const migrations = new Map();
+
+/**
+ * Converts ItemStacks to JSON and back, keeping every property the API exposes:
+ * amount, name, lock mode, keep on death, lore, can place on / can destroy, dynamic properties,
+ * enchantments, durability, dye color and potion type. Components can be added with {@link ItemCodec.registerComponent}.
+ *
+ * Saved data carries a format version. Older data is upgraded by migrations when decoded, so saves made by
+ * older versions of the library, including the format of the first `saveInventory`, still load.
+ *
+ * The contents of shulker boxes and bundles are not exposed by the API, so they can't be saved.
+ *
+ * @example
+ * const data = ItemCodec.encode(player.getComponent("inventory").container.getItem(0));
+ * world.setDynamicProperty("trophy", JSON.stringify(data));
+ * // Later
+ * const trophy = ItemCodec.decode(JSON.parse(world.getDynamicProperty("trophy")));
+ */
+export class ItemCodec {
+
+    /**
+     * Current format version.
+     */
+    static VERSION = 2;
+
+    /**
+     * Converts an item to JSON compatible data.
+     * @param {ItemStack | undefined} itemStack
+     * @returns {ItemData | null} Null for an empty slot.
+     */
+    static encode(itemStack) {
+        if (!itemStack) return null;
+        /** @type {ItemData} */
+        const data = { version: ItemCodec.VERSION, typeId: itemStack.typeId, amount: itemStack.amount };
+        if (itemStack.nameTag) data.nameTag = itemStack.nameTag;
+        if (itemStack.lockMode && itemStack.lockMode !== "none") data.lockMode = itemStack.lockMode;
+        if (itemStack.keepOnDeath) data.keepOnDeath = true;
+        const lore = itemStack.getLore();
+        if (lore.length) data.lore = lore;
+        const canPlaceOn = itemStack.getCanPlaceOn(), canDestroy = itemStack.getCanDestroy();
+        if (canPlaceOn.length) data.canPlaceOn = canPlaceOn;
+        if (canDestroy.length) data.canDestroy = canDestroy;
+        const ids = itemStack.getDynamicPropertyIds();
+        if (ids.length)
+            data.dynamicProperties = Object.fromEntries(ids.map(id => [id, itemStack.getDynamicProperty(id)]));
+        for (const [id, codec] of componentCodecs) {
+            if (!itemStack.hasComponent(id)) continue;
+            const value = codec.encode(itemStack);
+            if (value !== undefined)
+                (data.components ??= {})[id] = value;
+        }
+        return data;
+    }
+
+    /**
+     * Same as {@link ItemCodec.decode}, but an item that can't be restored, e.g. from a removed add-on,
+     * is reported with `console.error` instead of throwing.
+     * @param {ItemData | Object | null | undefined} data
+     * @param {string} [source="saved data"] Where the item comes from, for the error message, e.g. `the kit "starter"`
+     * @returns {ItemStack | undefined} Undefined for an empty slot, or an item that can't be restored.
+     */
+    static safeDecode(data, source = "saved data") {
+        try {
+            return ItemCodec.decode(data);
+        } catch (error) {
+            console.error(`Error: Failed to load an item of ${source}.`, error);
+            return undefined;
+        }
+    }
+
+    /**
+     * Creates an item from data made by {@link ItemCodec.encode}, migrating it first if it is older.
+     * A component failing to restore is reported with `console.error` and skipped, the rest of the item is kept.
+     * @param {ItemData | Object | null | undefined} data
+     * @returns {ItemStack | undefined} Undefined for an empty slot.
+     * @throws If the data is newer than this codec, or the item type doesn't exist.
+     */
+    static decode(data) {
+        if (!data) return undefined;
+        data = ItemCodec.migrate(data);
+        const components = data.components ?? {};
+        let itemStack;
+        for (const [id, codec] of componentCodecs) {
+            if (components[id] === undefined || !codec.create || itemStack) continue;
+            try {
+                itemStack = codec.create(data.typeId, components[id]);
+            } catch (error) {
+                console.error(`Error: Failed to restore the "${id}" component of ${data.typeId}.`, error);
+            }
+        }
+        itemStack ??= new ItemStack(data.typeId);
+        itemStack.amount = data.amount;
+        if (data.nameTag !== undefined) itemStack.nameTag = data.nameTag;
+        if (data.lockMode !== undefined) itemStack.lockMode = data.lockMode;
+        if (data.keepOnDeath !== undefined) itemStack.keepOnDeath = data.keepOnDeath;
+        if (data.lore) itemStack.setLore(data.lore);
+        if (data.canPlaceOn) itemStack.setCanPlaceOn(data.canPlaceOn);
+        if (data.canDestroy) itemStack.setCanDestroy(data.canDestroy);
+        for (const id in data.dynamicProperties ?? {})
+            itemStack.setDynamicProperty(id, data.dynamicProperties[id]);
+        for (const id in components) {
+            const codec = componentCodecs.get(id);
+            if (!codec) {
+                console.error(`Error: No codec registered for the item component "${id}", its data was dropped.`);
+                continue;
+            }
+            try {
+                codec.decode?.(itemStack, components[id]);
+            } catch (error) {
+                console.error(`Error: Failed to restore the "${id}" component of ${data.typeId}.`, error);
+            }
+        }
+        return itemStack;
+    }
+
+    /**
+     * Upgrades data to the current format version.
+     * @param {Object} data
+     * @returns {ItemData}
+     * @throws If the data is newer than this codec, or a migration is missing.
+     */
+    static migrate(data) {
+        // The first format had no version
+        let version = data.version ?? 1;
+        if (version > ItemCodec.VERSION)
+            throw new Error(`Item data version ${version} is newer than the supported version ${ItemCodec.VERSION}.`);
+        while (version < ItemCodec.VERSION) {
+            const migration = migrations.get(version);
+            if (!migration)
+                throw new Error(`No migration from item data version ${version}.`);
+            data = { ...migration(data), version: ++version };
+        }
+        return data;
+    }
+
+    /**
+     * Adds a migration upgrading data from one version to the next.
+     * Only needed when {@link ItemCodec.VERSION} is raised, e.g. by a pack changing how its components are saved.
+     * @param {number} fromVersion Version of the data the migration accepts, it returns data of the next version.
+     * @param {(data: Object) => Object} migration
+     */
+    static addMigration(fromVersion, migration) {
+        migrations.set(fromVersion, migration);
+    }
+
+    /**
+     * Registers how an item component is saved, or replaces a built-in one.
+     * @param {string} id Component id, as given to `itemStack.getComponent`
+     * @param {ItemComponentCodec} codec
+     * @example
+     * // A component of a newer API version
+     * ItemCodec.registerComponent("minecraft:book", {
+     *  encode: (item) => ({ contents: item.getComponent("minecraft:book").contents }),
+     *  decode: (item, { contents }) => item.getComponent("minecraft:book").setContents(contents)
+     * });
+     */
+    static registerComponent(id, codec) {
+        componentCodecs.set(id, codec);
+    }
+}
+
+ItemCodec.registerComponent("minecraft:enchantable", {
+    encode: (itemStack) => {
+        const enchantments = itemStack.getComponent("minecraft:enchantable").getEnchantments();
+        return enchantments.length ? enchantments.map(({ type, level }) => ({ type: type.id, level })) : undefined;
+    },
+    decode: (itemStack, enchantments) => itemStack.getComponent("minecraft:enchantable")
+        .addEnchantments(enchantments.map(({ type, level }) => ({ type: new EnchantmentType(type), level })))
+});
+
+ItemCodec.registerComponent("minecraft:durability", {
+    encode: (itemStack) => itemStack.getComponent("minecraft:durability").damage || undefined,
+    decode: (itemStack, damage) => itemStack.getComponent("minecraft:durability").damage = damage
+});
+
+ItemCodec.registerComponent("minecraft:dyeable", {
+    encode: (itemStack) => {
+        const color = itemStack.getComponent("minecraft:dyeable").color;
+        return color ? { ...color } : undefined;
+    },
+    decode: (itemStack, color) => itemStack.getComponent("minecraft:dyeable").color = color
+});
+
+ItemCodec.registerComponent("minecraft:potion", {
+    encode: (itemStack) => {
+        const { potionEffectType, potionLiquidType, potionModifierType } = itemStack.getComponent("minecraft:potion");
+        return { effect: potionEffectType.id, liquid: potionLiquidType.id, modifier: potionModifierType.id };
+    },
+    // Potions can only be made by the factory, which sets their effect
+    create: (typeId, { effect, liquid, modifier }) => {
+        if (typeof ItemStack.createPotion !== "function") {
+            console.error(`Error: ItemStack.createPotion is not available, the ${effect} effect of ${typeId} was dropped.`);
+            return undefined;
+        }
+        return ItemStack.createPotion({ effect, liquid, modifier });
+    }
+});
+
+// First format, written by saveInventory: {typeId, props: {amount, keepOnDeath, lockMode, nameTag}, lore, components: {enchantable, durability}}
+ItemCodec.addMigration(1, ({ typeId, props = {}, lore, components = {} }) => {
+    const data = { typeId, amount: props.amount ?? 1, components: {} };
+    if (props.nameTag) data.nameTag = props.nameTag;
+    if (props.lockMode && props.lockMode !== "none") data.lockMode = props.lockMode;
+    if (props.keepOnDeath) data.keepOnDeath = props.keepOnDeath;
+    if (lore?.length) data.lore = lore;
+    if (components.enchantable?.length) data.components["minecraft:enchantable"] = components.enchantable;
+    if (components.durability) data.components["minecraft:durability"] = components.durability;
+    return data;
+});
@@ -0,0 +1,335 @@
+import { world, Player, ItemStack, EquipmentSlot } from "@minecraft/server";
+import { InventoryUtils } from "./inventory-utilities.js";
+import { ItemCodec, EQUIPMENT_SLOTS } from "./itemstack-utilities.js";
+import { ChunkedStorage } from "./storage-utilities.js";
+
+/** @typedef {import("./itemstack-utilities.js").ItemData} ItemData */
+
+/**
+ * @typedef {Object} KitLimits
+ * @property {number} [cooldown=0] Seconds a player must wait between two grants. Real time, so it keeps running while the world is closed.
+ * @property {number} [maxUses=Infinity] Number of times a player can get the kit
+ */
+
+/**
+ * @typedef {Object} KitInfo
+ * @property {string} name
+ * @property {number} cooldown
+ * @property {number} maxUses
+ * @property {number} createdAt `Date.now()` when the kit was defined
+ */
+
+/**
+ * @typedef {Object} KitEntry
+ * @property {number | EquipmentSlot} slot Inventory slot, or equipment slot for worn items
+ * @property {string} typeId
+ * @property {number} amount
+ * @property {string} [nameTag]
+ * @property {ItemData} data Full data of the item
+ */
+
+/**
+ * @typedef {Object} KitCheck
+ * @property {boolean} allowed
+ * @property {"unknownKit" | "cooldown" | "usedUp" | "noRoom"} [reason] Why the kit can't be granted.
+ * `noRoom` is only given by a merge grant with the `reject` overflow policy.
+ * @property {number} cooldownLeft Seconds before the player can get the kit again, 0 if they can now
+ * @property {number} usesLeft Times the player can still get the kit
+ */
+
+/**
+ * @typedef {Object} KitDiff
+ * @property {boolean} matches True if every slot holds the kit's item, in the kit's amount
+ * @property {{typeId: string, amount: number}[]} missing Items of the kit the player lacks, anywhere in their inventory
+ * @property {{typeId: string, amount: number}[]} extra Items the player has beyond the kit
+ * @property {{slot: number | EquipmentSlot, expected: string | undefined, actual: string | undefined}[]} changedSlots
+ * Slots whose item type or amount differs from the kit, `undefined` for an empty slot
+ */
+
+/** Prefix of the world dynamic properties holding the kit settings */
+const KEY_PREFIX = "kit:";
+
+/**
+ * Prefix of the world dynamic properties holding the usage of each player, followed by the player id.
+ * Kept on the world so restoring a snapshot of a player doesn't roll back their uses.
+ */
+const USAGE_PREFIX = "kitUsage:";
+
+/**
+ * Reads the items of a kit.
+ * @param {string} name
+ * @returns {{items: (ItemData | null)[], wornArmor: (ItemData | null)[]}}
+ */
+function readItems(name) {
+    const migrate = (data) => data ? ItemCodec.migrate(data) : null;
+    return {
+        items: (ChunkedStorage.get(world, `inventory:${KEY_PREFIX}${name}`) ?? []).map(migrate),
+        wornArmor: (ChunkedStorage.get(world, `armor:${KEY_PREFIX}${name}`) ?? []).map(migrate)
+    };
+}
+
+/**
+ * Reads the usage of every kit by a player.
+ * @param {Player} player
+ * @returns {Record<string, {uses: number, lastUsed: number}>}
+ */
+function readUsages(player) {
+    return ChunkedStorage.get(world, `${USAGE_PREFIX}${player.id}`) ?? {};
+}
+
+/**
+ * @param {Player} player
+ * @param {string} name
+ * @returns {{uses: number, lastUsed: number}}
+ */
+function readUsage(player, name) {
+    return readUsages(player)[name] ?? { uses: 0, lastUsed: 0 };
+}
+
+/**
+ * Totals the amount of each item type.
+ * @param {{typeId: string, amount: number}[]} entries
+ * @returns {Map<string, number>}
+ */
+function countByType(entries) {
+    const counts = new Map();
+    for (const { typeId, amount } of entries)
+        counts.set(typeId, (counts.get(typeId) ?? 0) + amount);
+    return counts;
+}
+
+/**
+ * Named inventory loadouts, stored on the world: starter packs, arena classes...
+ * Kits are captured from a player's inventory with {@link InventoryUtils.saveInventory}, and can be limited by a cooldown
+ * and a number of uses per player.
+ *
+ * @example
+ * import { world } from "@minecraft/server"
+ *
+ * // An admin sets up the kit once
+ * Kits.define("starter", admin, { maxUses: 1 });
+ *
+ * world.afterEvents.playerSpawn.subscribe(({ player, initialSpawn }) => {
+ *  if (initialSpawn) Kits.grant(player, "starter", { mode: "merge" });
+ * });
+ */
+export class Kits {
+
+    /**
+     * Captures the inventory and armor of a player as a kit. Replaces any kit with the same name, keeping its usage records.
+     * @param {string} name
+     * @param {Player} player
+     * @param {KitLimits} [limits]
+     * @returns {KitInfo}
+     */
+    static define(name, player, limits = {}) {
+        InventoryUtils.saveInventory(player, `${KEY_PREFIX}${name}`, world);
+        /** @type {KitInfo} */
+        const info = { name, cooldown: limits.cooldown ?? 0, maxUses: limits.maxUses ?? Infinity, createdAt: Date.now() };
+        // Infinity isn't valid JSON
+        ChunkedStorage.set(world, `${KEY_PREFIX}${name}`, { ...info, maxUses: Number.isFinite(info.maxUses) ? info.maxUses : null });
+        return info;
+    }
+
+    /**
+     * Changes the cooldown and usage limit of a kit.
+     * @param {string} name
+     * @param {KitLimits} limits Limits left out are kept.
+     * @throws If the kit doesn't exist.
+     */
+    static setLimits(name, limits) {
+        const info = Kits.get(name);
+        if (!info)
+            throw new Error(`Kit "${name}" doesn't exist.`);
+        const maxUses = limits.maxUses ?? info.maxUses;
+        ChunkedStorage.set(world, `${KEY_PREFIX}${name}`, {
+            ...info,
+            cooldown: limits.cooldown ?? info.cooldown,
+            maxUses: Number.isFinite(maxUses) ? maxUses : null
+        });
+    }
+
+    /**
+     * Gets the settings of a kit.
+     * @param {string} name
+     * @returns {KitInfo | undefined} Undefined if there is no such kit.
+     */
+    static get(name) {
+        const info = ChunkedStorage.get(world, `${KEY_PREFIX}${name}`);
+        return info && { ...info, maxUses: info.maxUses ?? Infinity };
+    }
+
+    /**
+     * Lists the names of the kits.
+     * @returns {string[]}
+     */
+    static list() {
+        return ChunkedStorage.keys(world)
+            .filter(id => id.startsWith(KEY_PREFIX))
+            .map(id => id.slice(KEY_PREFIX.length));
+    }
+
+    /**
+     * Deletes a kit. Usage records are kept, and apply again if a kit with the same name is defined.
+     * @param {string} name
+     */
+    static delete(name) {
+        ChunkedStorage.delete(world, `${KEY_PREFIX}${name}`);
+        ChunkedStorage.delete(world, `inventory:${KEY_PREFIX}${name}`);
+        ChunkedStorage.delete(world, `armor:${KEY_PREFIX}${name}`);
+    }
+
+    /**
+     * Checks if a player can get a kit now.
+     * @param {Player} player
+     * @param {string} name
+     * @returns {KitCheck}
+     */
+    static check(player, name) {
+        const info = Kits.get(name);
+        if (!info) return { allowed: false, reason: "unknownKit", cooldownLeft: 0, usesLeft: 0 };
+        const { uses, lastUsed } = readUsage(player, name);
+        const usesLeft = Math.max(0, info.maxUses - uses);
+        const cooldownLeft = uses > 0 ? Math.max(0, Math.ceil((lastUsed + info.cooldown * 1000 - Date.now()) / 1000)) : 0;
+        if (usesLeft === 0) return { allowed: false, reason: "usedUp", cooldownLeft, usesLeft };
+        if (cooldownLeft > 0) return { allowed: false, reason: "cooldown", cooldownLeft, usesLeft };
+        return { allowed: true, cooldownLeft, usesLeft };
+    }
+
+    /**
+     * Gives a kit to a player, if its cooldown and usage limit allow it.
+     * @param {Player} player
+     * @param {string} name
+     * @param {Object} [options]
+     * @param {"replace" | "merge"} [options.mode="replace"] `replace` clears the inventory and armor first.
+     * `merge` keeps them: kit items go to their slot when it is empty, the others are given with {@link InventoryUtils.giveItems}.
+     * @param {boolean} [options.force=false] Ignore the cooldown and usage limit. The grant is still recorded.
+     * @param {"drop" | "mailbox" | "reject"} [options.overflow="drop"] In merge mode, what to do with the items that don't fit,
+     * see {@link InventoryUtils.giveItems}. With `reject`, the kit is only given if everything fits.
+     * @returns {KitCheck & {leftovers: ItemStack[]}} `leftovers` are the items that didn't fit in merge mode.
+     * @example
+     * const { allowed, reason, cooldownLeft } = Kits.grant(player, "daily", { mode: "merge" });
+     * if (reason === "cooldown") player.sendMessage(`Come back in ${Math.ceil(cooldownLeft / 60)} minutes`);
+     */
+    static grant(player, name, options = {}) {
+        const { mode = "replace", force = false, overflow = "drop" } = options;
+        const check = Kits.check(player, name);
+        if (check.reason === "unknownKit" || (!check.allowed && !force)) return { ...check, allowed: false, leftovers: [] };
+
+        const leftovers = [];
+        if (mode === "replace") {
+            InventoryUtils.loadInventory(player, `${KEY_PREFIX}${name}`, world);
+        } else {
+            const { container } = player.getComponent("inventory");
+            const equippable = player.getComponent("equippable");
+            const { items, wornArmor } = readItems(name);
+            /** @type {[EquipmentSlot, ItemStack][]} */
+            const armor = [];
+            const filledSlots = [], rest = [];
+            EQUIPMENT_SLOTS.forEach((slot, i) => {
+                const item = ItemCodec.safeDecode(wornArmor[i], `the kit "${name}"`);
+                if (!item) return;
+                if (equippable.getEquipment(slot)) rest.push(item);
+                else armor.push([slot, item]);
+            });
+            items.forEach((data, slot) => {
+                const item = ItemCodec.safeDecode(data, `the kit "${name}"`);
+                if (!item) return;
+                if (slot < container.size && !container.getItem(slot)) {
+                    container.setItem(slot, item);
+                    filledSlots.push(slot);
+                } else rest.push(item);
+            });
+            const given = InventoryUtils.giveItems(player, rest, { overflow });
+            if (!given.success) {
+                // Rejected: take back the items put in their slot, they were empty
+                for (const slot of filledSlots) container.setItem(slot, undefined);
+                return { ...check, allowed: false, reason: "noRoom", leftovers: given.overflow };
+            }
+            for (const [slot, item] of armor) equippable.setEquipment(slot, item);
+            leftovers.push(...given.overflow);
+        }
+
+        const usages = readUsages(player);
+        usages[name] = { uses: (usages[name]?.uses ?? 0) + 1, lastUsed: Date.now() };
+        ChunkedStorage.set(world, `${USAGE_PREFIX}${player.id}`, usages);
+        const { cooldownLeft, usesLeft } = Kits.check(player, name);
+        return { allowed: true, cooldownLeft, usesLeft, leftovers };
+    }
+
+    /**
+     * Clears the usage records of a player, resetting cooldowns and uses.
+     * @param {Player} player
+     * @param {string} [name] Only reset this kit. All kits if omitted.
+     */
+    static resetUsage(player, name) {
+        if (name === undefined) return ChunkedStorage.delete(world, `${USAGE_PREFIX}${player.id}`);
+        const usages = readUsages(player);
+        delete usages[name];
+        ChunkedStorage.set(world, `${USAGE_PREFIX}${player.id}`, usages);
+    }
+
+    /**
+     * Lists the contents of a kit, worn items first.
+     * @param {string} name
+     * @returns {KitEntry[] | undefined} Undefined if there is no such kit.
+     * @example
+     * const lines = Kits.preview("archer").map(({ typeId, amount, nameTag }) => `${amount}x ${nameTag ?? typeId}`);
+     */
+    static preview(name) {
+        if (!Kits.get(name)) return undefined;
+        const { items, wornArmor } = readItems(name);
+        const entries = [];
+        const add = (slot, data) => {
+            if (!data) return;
+            entries.push({ slot, typeId: data.typeId, amount: data.amount, ...(data.nameTag !== undefined && { nameTag: data.nameTag }), data });
+        };
+        EQUIPMENT_SLOTS.forEach((slot, i) => add(slot, wornArmor[i]));
+        items.forEach((data, slot) => add(slot, data));
+        return entries;
+    }
+
+    /**
+     * Compares the inventory and armor of a player with a kit, by item type and amount.
+     * Enchantments, names and other item data are not compared.
+     * @param {Player} player
+     * @param {string} name
+     * @returns {KitDiff | undefined} Undefined if there is no such kit.
+     * @example
+     * // Arena: only let players in with the class kit, untouched
+     * if (!Kits.diff(player, "knight").matches) player.sendMessage("Reset your kit first!");
+     */
+    static diff(player, name) {
+        const entries = Kits.preview(name);
+        if (!entries) return undefined;
+        const { container } = player.getComponent("inventory");
+        const equippable = player.getComponent("equippable");
+        const playerEntries = [];
+        EQUIPMENT_SLOTS.forEach(slot => {
+            const item = equippable.getEquipment(slot);
+            if (item) playerEntries.push({ slot, typeId: item.typeId, amount: item.amount });
+        });
+        for (let slot = 0; slot < container.size; slot++) {
+            const item = container.getItem(slot);
+            if (item) playerEntries.push({ slot, typeId: item.typeId, amount: item.amount });
+        }
+
+        const expected = countByType(entries), actual = countByType(playerEntries);
+        const missing = [], extra = [];
+        for (const typeId of new Set([...expected.keys(), ...actual.keys()])) {
+            const difference = (expected.get(typeId) ?? 0) - (actual.get(typeId) ?? 0);
+            if (difference > 0) missing.push({ typeId, amount: difference });
+            if (difference < 0) extra.push({ typeId, amount: -difference });
+        }
+
+        const changedSlots = [];
+        const kitSlots = new Map(entries.map(entry => [entry.slot, entry]));
+        const playerSlots = new Map(playerEntries.map(entry => [entry.slot, entry]));
+        for (const slot of new Set([...kitSlots.keys(), ...playerSlots.keys()])) {
+            const kitEntry = kitSlots.get(slot), playerEntry = playerSlots.get(slot);
+            if (kitEntry?.typeId === playerEntry?.typeId && kitEntry?.amount === playerEntry?.amount) continue;
+            changedSlots.push({ slot, expected: kitEntry?.typeId, actual: playerEntry?.typeId });
+        }
+        return { matches: changedSlots.length === 0, missing, extra, changedSlots };
+    }
+}
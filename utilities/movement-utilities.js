@@ -0,0 +1,371 @@
+import { system, Entity } from "@minecraft/server";
+import { isValid } from "./custom-events.js";
+
+/**
+ * How a movement ended.
+ * - `arrived`: the entity reached its target (seek, arrive) or got far enough (flee)
+ * - `cancelled`: {@link SteeringController.cancel} was called, or another movement was started on the entity
+ * - `stuck`: the entity did not move for `stuckTicks` ticks while trying to
+ * - `timeout`: the movement took longer than `timeout` ticks
+ * - `invalid`: the entity was removed or unloaded
+ * - `targetLost`: the followed or fled entity was removed or unloaded
+ * - `error`: an exception was thrown while updating the movement, e.g. by a target function
+ * @typedef {"arrived" | "cancelled" | "stuck" | "timeout" | "invalid" | "targetLost" | "error"} MovementStatus
+ */
+
+/**
+ * @typedef {Object} MovementResult
+ * @property {MovementStatus} status How the movement ended
+ * @property {number} ticks Ticks the movement lasted
+ * @property {Vector3 | undefined} location Location of the entity when it ended, undefined if it was removed
+ * @property {unknown} [error] The exception, when the status is `error`
+ */
+
+/**
+ * @typedef {Object} MovementOptions
+ * @property {number} [maxSpeed=0.3] Max speed in blocks per tick
+ * @property {number} [maxAcceleration=0.08] Max change of speed in blocks per tick, per tick
+ * @property {boolean} [flying=false] Also steer vertically. Otherwise only the horizontal velocity is changed and gravity is left alone.
+ * @property {number} [arriveDistance=0.5] Distance to the target at which seek and arrive are complete
+ * @property {number} [slowingRadius=3] Distance to the target at which arrive and follow start slowing down
+ * @property {number} [timeout=Infinity] Ticks after which the movement ends with `timeout`
+ * @property {number} [stuckTicks=40] Ticks without moving `stuckDistance` blocks after which the movement ends with `stuck`
+ * @property {number} [stuckDistance=0.25] Distance the entity must move every `stuckTicks` ticks
+ */
+
+/** @type {Set<SteeringController>} */
+const active = new Set();
+/** @type {Map<string, SteeringController>} */
+const byEntity = new Map();
+let intervalId;
+/** Vertical speed of a jump, enough to climb one block */
+const JUMP_VELOCITY = 0.42;
+
+/**
+ * Gets the location of a target, which can be a location, an entity or a function returning a location.
+ * @param {Vector3 | Entity | (() => Vector3)} target
+ * @returns {Vector3 | undefined} Undefined if the target is an entity that no longer exists.
+ */
+function locate(target) {
+    if (typeof target === "function") return target();
+    if (target instanceof Entity) return isValid(target) ? target.location : undefined;
+    return target;
+}
+
+/**
+ * Scales a vector to a length.
+ * @param {Vector3} v
+ * @param {number} length
+ * @returns {Vector3}
+ */
+function withLength(v, length) {
+    const current = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+    if (!current) return { x: 0, y: 0, z: 0 };
+    return { x: v.x / current * length, y: v.y / current * length, z: v.z / current * length };
+}
+
+/**
+ * Clamps the length of a vector.
+ * @param {Vector3} v
+ * @param {number} max
+ * @returns {Vector3}
+ */
+function limit(v, max) {
+    const length = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+    if (length <= max || !length) return v;
+    return { x: v.x / length * max, y: v.y / length * max, z: v.z / length * max };
+}
+
+/**
+ * Moves an entity over time, tick by tick, with speed and acceleration limits.
+ *
+ * Players are moved with `applyKnockback` and other entities with `applyImpulse`. Every running movement is
+ * updated from one shared interval, and an entity only has one movement at a time: starting a new one cancels the previous one.
+ *
+ * @example
+ * import { world } from "@minecraft/server"
+ *
+ * const player = world.getPlayers()[0];
+ * const movement = SteeringController.arrive(player, { x: 10, y: 64, z: 5 }, { maxSpeed: 0.4, timeout: 200 });
+ * movement.done.then(({ status }) => player.sendMessage(`Movement ended: ${status}`));
+ * // Stop it early
+ * movement.cancel();
+ */
+export class SteeringController {
+    /**
+     * Use the static methods to start a movement.
+     * @param {Entity} entity Entity to move
+     * @param {(location: Vector3, tick: number) => {desired: Vector3, arrived?: boolean, wantsToMove?: boolean, jump?: boolean} | undefined} steer
+     * Gives the desired velocity, or undefined if the target was lost. `jump` makes walking entities jump when on the ground.
+     * @param {MovementOptions} options
+     * @private
+     */
+    constructor(entity, steer, options = {}) {
+        const { timeout = Infinity, stuckTicks = 40, stuckDistance = 0.25 } = options;
+        /** @readonly @type {Entity} */
+        this.entity = entity;
+        /** @private */
+        this.steer = steer;
+        /** @private */
+        this.options = { maxSpeed: 0.3, maxAcceleration: 0.08, flying: false, ...options, timeout, stuckTicks, stuckDistance };
+        /** @private */
+        this.startTick = system.currentTick;
+        /** @private */
+        this.stuckCheck = { location: entity.location, tick: system.currentTick };
+        /** @private @type {(result: MovementResult) => void} */
+        this.resolve = () => { };
+        /**
+         * Resolves once the movement ends, whatever the reason.
+         * @readonly @type {Promise<MovementResult>}
+         */
+        this.done = new Promise(resolve => this.resolve = resolve);
+
+        byEntity.get(entity.id)?.finish("cancelled");
+        byEntity.set(entity.id, this);
+        active.add(this);
+        intervalId ??= system.runInterval(() => active.forEach(controller => {
+            // A failing movement must not stop the others
+            try {
+                controller.update();
+            } catch (error) {
+                controller.finish("error", error);
+            }
+        }));
+    }
+
+    /**
+     * Moves an entity straight to a target at full speed.
+     * @param {Entity} entity Entity to move
+     * @param {Vector3 | Entity | (() => Vector3)} target Location, entity, or function returning the location to reach
+     * @param {MovementOptions} [options]
+     * @returns {SteeringController}
+     */
+    static seek(entity, target, options = {}) {
+        const { arriveDistance = 0.5, maxSpeed = 0.3 } = options;
+        return new SteeringController(entity, (location) => {
+            const to = locate(target);
+            if (!to) return undefined;
+            const offset = { x: to.x - location.x, y: to.y - location.y, z: to.z - location.z };
+            return { desired: withLength(offset, maxSpeed), arrived: SteeringController.distance(offset, options) <= arriveDistance };
+        }, options);
+    }
+
+    /**
+     * Moves an entity to a target, slowing down when getting close so it does not overshoot.
+     * @param {Entity} entity Entity to move
+     * @param {Vector3 | Entity | (() => Vector3)} target Location, entity, or function returning the location to reach
+     * @param {MovementOptions} [options]
+     * @returns {SteeringController}
+     */
+    static arrive(entity, target, options = {}) {
+        const { arriveDistance = 0.5, slowingRadius = 3, maxSpeed = 0.3 } = options;
+        return new SteeringController(entity, (location) => {
+            const to = locate(target);
+            if (!to) return undefined;
+            const offset = { x: to.x - location.x, y: to.y - location.y, z: to.z - location.z };
+            const distance = SteeringController.distance(offset, options);
+            const speed = maxSpeed * Math.min(distance / slowingRadius, 1);
+            return { desired: withLength(offset, speed), arrived: distance <= arriveDistance };
+        }, options);
+    }
+
+    /**
+     * Keeps an entity following another entity at an offset. Never arrives: it runs until cancelled,
+     * timed out or the leader is gone.
+     * @param {Entity} entity Entity to move
+     * @param {Entity} leader Entity to follow
+     * @param {MovementOptions & {offset?: Vector3, relative?: boolean}} [options]
+     * `offset` is added to the leader's location, `relative` turns it with the leader's yaw (`z` is in front of the leader).
+     * @returns {SteeringController}
+     */
+    static follow(entity, leader, options = {}) {
+        const { offset = { x: 0, y: 0, z: 0 }, relative = false, arriveDistance = 0.5, slowingRadius = 3, maxSpeed = 0.3 } = options;
+        return new SteeringController(entity, (location) => {
+            if (!isValid(leader)) return undefined;
+            let { x, y, z } = offset;
+            if (relative) {
+                const yaw = leader.getRotation().y * Math.PI / 180;
+                [x, z] = [x * Math.cos(yaw) - z * Math.sin(yaw), x * Math.sin(yaw) + z * Math.cos(yaw)];
+            }
+            const to = leader.location;
+            const towards = { x: to.x + x - location.x, y: to.y + y - location.y, z: to.z + z - location.z };
+            const distance = SteeringController.distance(towards, options);
+            if (distance <= arriveDistance)
+                return { desired: { x: 0, y: 0, z: 0 }, wantsToMove: false };
+            return { desired: withLength(towards, maxSpeed * Math.min(distance / slowingRadius, 1)) };
+        }, options);
+    }
+
+    /**
+     * Keeps an entity circling around a center. Never arrives: it runs until cancelled or timed out.
+     * @param {Entity} entity Entity to move
+     * @param {Vector3 | Entity | (() => Vector3)} center Location, entity, or function returning the location to circle around
+     * @param {MovementOptions & {radius?: number, clockwise?: boolean}} [options]
+     * `radius` defaults to 5 blocks. The speed around the circle is `maxSpeed`.
+     * @returns {SteeringController}
+     */
+    static orbit(entity, center, options = {}) {
+        const { radius = 5, clockwise = true, maxSpeed = 0.3 } = options;
+        const sign = clockwise ? 1 : -1;
+        return new SteeringController(entity, (location) => {
+            const to = locate(center);
+            if (!to) return undefined;
+            const dx = location.x - to.x, dz = location.z - to.z;
+            const distance = Math.hypot(dx, dz) || 1e-6;
+            // Tangent to the circle, plus a correction towards the radius
+            const tangent = { x: -dz / distance * sign, z: dx / distance * sign };
+            const correction = (radius - distance) / radius;
+            const desired = {
+                x: (tangent.x + dx / distance * correction) * maxSpeed,
+                y: options.flying ? (to.y - location.y) * 0.1 : 0,
+                z: (tangent.z + dz / distance * correction) * maxSpeed
+            };
+            return { desired: limit(desired, maxSpeed) };
+        }, options);
+    }
+
+    /**
+     * Moves an entity away from a threat until it is far enough.
+     * @param {Entity} entity Entity to move
+     * @param {Vector3 | Entity | (() => Vector3)} threat Location, entity, or function returning the location to flee from
+     * @param {MovementOptions & {distance?: number}} [options] The movement arrives once the entity is `distance` blocks away, 16 by default.
+     * @returns {SteeringController}
+     */
+    static flee(entity, threat, options = {}) {
+        const { distance: safeDistance = 16, maxSpeed = 0.3 } = options;
+        return new SteeringController(entity, (location) => {
+            const from = locate(threat);
+            if (!from) return undefined;
+            const away = { x: location.x - from.x, y: location.y - from.y, z: location.z - from.z };
+            const distance = SteeringController.distance(away, options);
+            if (!distance) away.x = 1;
+            return { desired: withLength(away, maxSpeed), arrived: distance >= safeDistance };
+        }, options);
+    }
+
+    /**
+     * Moves an entity along a list of waypoints, such as the ones found by `Pathfinder.findPath`,
+     * jumping when the next waypoint is higher. It slows down and arrives at the last waypoint.
+     * @param {Entity} entity Entity to move
+     * @param {Vector3[]} waypoints Locations to go through, in order
+     * @param {MovementOptions & {waypointDistance?: number}} [options]
+     * `waypointDistance` is the horizontal distance at which a waypoint counts as reached, 0.4 blocks by default.
+     * @returns {SteeringController}
+     * @example
+     * import { Pathfinder } from "./pathfinding-utilities.js"
+     *
+     * const { waypoints } = await Pathfinder.findPath(guide.dimension, guide.location, destination);
+     * await SteeringController.followPath(guide, waypoints, { maxSpeed: 0.2 }).done;
+     */
+    static followPath(entity, waypoints, options = {}) {
+        const { waypointDistance = 0.4, arriveDistance = 0.5, slowingRadius = 3, maxSpeed = 0.3 } = options;
+        let index = 0;
+        return new SteeringController(entity, (location) => {
+            if (!waypoints.length) return { desired: { x: 0, y: 0, z: 0 }, arrived: true };
+            const offsetTo = (waypoint) => ({ x: waypoint.x - location.x, y: waypoint.y - location.y, z: waypoint.z - location.z });
+            while (index < waypoints.length - 1) {
+                const offset = offsetTo(waypoints[index]);
+                if (Math.hypot(offset.x, offset.z) > waypointDistance || Math.abs(offset.y) >= 1) break;
+                index++;
+            }
+            const offset = offsetTo(waypoints[index]);
+            const distance = SteeringController.distance(offset, options);
+            const last = index === waypoints.length - 1;
+            const speed = last ? maxSpeed * Math.min(distance / slowingRadius, 1) : maxSpeed;
+            return {
+                desired: withLength(offset, speed),
+                arrived: last && distance <= arriveDistance,
+                jump: offset.y > 0.5 && Math.hypot(offset.x, offset.z) < 1.5
+            };
+        }, options);
+    }
+
+    /**
+     * @returns {boolean} True while the movement is running.
+     */
+    get isActive() {
+        return active.has(this);
+    }
+
+    /**
+     * Stops the movement. {@link SteeringController.done} resolves with `cancelled`.
+     */
+    cancel() {
+        this.finish("cancelled");
+    }
+
+    /**
+     * Length of an offset, ignoring its height unless the movement is flying.
+     * @private
+     * @param {Vector3} offset
+     * @param {MovementOptions} options
+     * @returns {number}
+     */
+    static distance(offset, { flying = false }) {
+        return Math.hypot(offset.x, flying ? offset.y : 0, offset.z);
+    }
+
+    /** @private */
+    update() {
+        const { entity, options } = this;
+        if (!isValid(entity)) return this.finish("invalid");
+        const tick = system.currentTick;
+        if (tick - this.startTick >= options.timeout) return this.finish("timeout");
+        const location = entity.location;
+        const steering = this.steer(location, tick);
+        if (!steering) return this.finish("targetLost");
+        if (steering.arrived) return this.finish("arrived");
+
+        // Stuck detection, only while the entity is trying to move
+        const moved = Math.hypot(location.x - this.stuckCheck.location.x, location.y - this.stuckCheck.location.y, location.z - this.stuckCheck.location.z);
+        if (steering.wantsToMove === false || moved >= options.stuckDistance) {
+            this.stuckCheck = { location, tick };
+        } else if (tick - this.stuckCheck.tick >= options.stuckTicks) {
+            return this.finish("stuck");
+        }
+
+        let desired = steering.desired;
+        if (!options.flying)
+            desired = withLength({ x: desired.x, y: 0, z: desired.z }, Math.hypot(desired.x, desired.y, desired.z));
+        desired = limit(desired, options.maxSpeed);
+        const velocity = entity.getVelocity();
+        const change = limit({
+            x: desired.x - velocity.x,
+            y: options.flying ? desired.y - velocity.y : 0,
+            z: desired.z - velocity.z
+        }, options.maxAcceleration);
+        const jumping = !options.flying && steering.jump && entity.isOnGround;
+        if (jumping) change.y = JUMP_VELOCITY - velocity.y;
+        if (entity.typeId === "minecraft:player") {
+            // Knockback replaces the horizontal velocity instead of adding to it
+            const x = velocity.x + change.x, z = velocity.z + change.z;
+            const strength = Math.hypot(x, z);
+            const y = options.flying || jumping ? velocity.y + change.y : velocity.y;
+            entity.applyKnockback(strength ? x / strength : 0, strength ? z / strength : 0, strength, y);
+        } else {
+            entity.applyImpulse(change);
+        }
+    }
+
+    /**
+     * Ends the movement and resolves its promise.
+     * @private
+     * @param {MovementStatus} status
+     * @param {unknown} [error] The exception, for the `error` status
+     */
+    finish(status, error) {
+        if (!active.delete(this)) return;
+        if (byEntity.get(this.entity.id) === this)
+            byEntity.delete(this.entity.id);
+        if (active.size === 0 && intervalId !== undefined) {
+            system.clearRun(intervalId);
+            intervalId = undefined;
+        }
+        this.resolve({
+            status,
+            ticks: system.currentTick - this.startTick,
+            location: isValid(this.entity) ? this.entity.location : undefined,
+            ...(status === "error" && { error })
+        });
+    }
+}
@@ -0,0 +1,366 @@
+import { system, Dimension, Block } from "@minecraft/server";
+
+/**
+ * Rules deciding where an entity can stand and how it can move between blocks.
+ * @typedef {Object} WalkabilityRules
+ * @property {number} [height=2] Blocks of headroom the entity needs
+ * @property {number} [maxStepUp=1] Highest step the entity can climb, in blocks
+ * @property {number} [maxFall=3] Highest drop the entity can take, in blocks
+ * @property {boolean} [diagonals=true] Allow diagonal moves. Corners are never cut.
+ * @property {boolean} [avoidWater=false] Never swim through water
+ * @property {boolean} [avoidLava=true] Never walk into lava
+ * @property {string[]} [avoidBlocks=[]] Block typeIds never walked on or through, e.g. `"minecraft:magma"`
+ * @property {(block: Block) => boolean} [isPassable] Overrides which blocks the entity can be inside of.
+ * Defaults to blocks that are not solid, minus avoided liquids and blocks.
+ */
+
+/**
+ * @typedef {WalkabilityRules & {maxNodes?: number, range?: number, simplify?: boolean}} PathOptions
+ * - `maxNodes`: most blocks searched before giving up, 4000 by default
+ * - `range`: distance to the goal at which it counts as reached, 0 by default
+ * - `simplify`: drop waypoints in the middle of straight lines, true by default
+ */
+
+/**
+ * How a search ended.
+ * - `found`: the waypoints reach the goal
+ * - `noPath`: every reachable block was searched, the waypoints get as close as possible
+ * - `budgetExceeded`: `maxNodes` blocks were searched, the waypoints get as close as possible
+ * - `invalidStart`: there is no ground to stand on below the start, the waypoints are empty
+ * @typedef {"found" | "noPath" | "budgetExceeded" | "invalidStart"} PathStatus
+ */
+
+/**
+ * @typedef {Object} PathResult
+ * @property {PathStatus} status How the search ended
+ * @property {Vector3[]} waypoints Feet locations at the center of each block, from the start to the goal
+ * @property {number} nodesSearched Blocks searched
+ * @property {number} ticks Ticks the search took
+ */
+
+const HORIZONTAL = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const DIAGONAL = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+const STEP_UP_COST = 0.5, FALL_COST = 0.25, WATER_COST = 2;
+
+/**
+ * Binary min-heap of search nodes, ordered by their `f` score.
+ */
+class NodeHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(node) {
+        const items = this.items;
+        items.push(node);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].f <= items[i].f) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length) {
+            items[0] = last;
+            let i = 0;
+            for (; ;) {
+                const left = i * 2 + 1, right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].f < items[smallest].f) smallest = left;
+                if (right < items.length && items[right].f < items[smallest].f) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+/**
+ * Reads blocks of a dimension for one search, caching what they allow.
+ */
+class BlockGrid {
+    /**
+     * @param {Dimension} dimension
+     * @param {WalkabilityRules} rules
+     */
+    constructor(dimension, rules) {
+        const { avoidWater = false, avoidLava = true, avoidBlocks = [], isPassable } = rules;
+        this.dimension = dimension;
+        this.avoided = new Set(avoidBlocks);
+        this.avoidWater = avoidWater;
+        this.avoidLava = avoidLava;
+        this.isPassable = isPassable;
+        /** @type {Map<string, {passable: boolean, floor: boolean, water: boolean}>} */
+        this.cache = new Map();
+    }
+
+    /**
+     * @returns {{passable: boolean, floor: boolean, water: boolean}}
+     * `passable` if the entity can be inside of the block, `floor` if it can stand on top of it, `water` if it is water.
+     */
+    get(x, y, z) {
+        const key = `${x},${y},${z}`;
+        let cell = this.cache.get(key);
+        if (cell) return cell;
+        let block;
+        try {
+            block = this.dimension.getBlock({ x, y, z });
+        } catch {
+            // Out of the world or in an unloaded chunk
+        }
+        if (!block) {
+            cell = { passable: false, floor: false, water: false };
+        } else {
+            const typeId = block.typeId;
+            const water = typeId === "minecraft:water" || typeId === "minecraft:flowing_water";
+            const lava = typeId === "minecraft:lava" || typeId === "minecraft:flowing_lava";
+            const avoided = this.avoided.has(typeId) || (lava && this.avoidLava) || (water && this.avoidWater);
+            const passable = this.isPassable ? this.isPassable(block) : !block.isSolid;
+            cell = {
+                passable: !avoided && passable,
+                floor: !avoided && (block.isSolid || water),
+                water
+            };
+        }
+        this.cache.set(key, cell);
+        return cell;
+    }
+
+    /**
+     * Checks if the entity fits in a column of blocks.
+     * @returns {boolean}
+     */
+    isClear(x, y, z, height) {
+        for (let i = 0; i < height; i++)
+            if (!this.get(x, y + i, z).passable) return false;
+        return true;
+    }
+
+    /**
+     * Checks if the entity can stand with its feet in a block.
+     * @returns {boolean}
+     */
+    isStandable(x, y, z, height) {
+        return this.get(x, y - 1, z).floor && this.isClear(x, y, z, height);
+    }
+}
+
+/**
+ * Finds walkable routes on the block grid of a dimension with A*.
+ *
+ * Searches run across several ticks with `system.runJob`, so they can be long without freezing the server.
+ * The waypoints can be followed with `SteeringController.followPath` from movement-utilities.js,
+ * or one by one with `moveToLocation`.
+ *
+ * @example
+ * import { world } from "@minecraft/server"
+ *
+ * const player = world.getPlayers()[0];
+ * const { status, waypoints } = await Pathfinder.findPath(player.dimension, player.location, { x: 100, y: 64, z: 20 });
+ * if (status === "found")
+ *     Pathfinder.drawPath(player.dimension, waypoints);
+ */
+export class Pathfinder {
+
+    /**
+     * Finds a walkable path between two locations.
+     * When the goal can't be reached, the waypoints lead to the searched block closest to it.
+     * @param {Dimension} dimension Dimension to search in
+     * @param {Vector3} from Start location, usually the feet of an entity
+     * @param {Vector3} to Goal location
+     * @param {PathOptions} [options]
+     * @returns {Promise<PathResult>} Rejects if the search throws, e.g. when `isPassable` does.
+     * @throws If the dimension is not valid.
+     * @example
+     * const { waypoints } = await Pathfinder.findPath(dimension, guide.location, village, { maxFall: 1, avoidWater: true });
+     * SteeringController.followPath(guide, waypoints);
+     */
+    static findPath(dimension, from, to, options = {}) {
+        if (!dimension || typeof dimension.getBlock !== "function")
+            throw new Error("Invalid Dimension object.");
+        const { height = 2, maxStepUp = 1, maxFall = 3, diagonals = true, maxNodes = 4000, range = 0, simplify = true } = options;
+        const grid = new BlockGrid(dimension, options);
+        const startTick = system.currentTick;
+        const goal = { x: Math.floor(to.x), y: Math.floor(to.y), z: Math.floor(to.z) };
+        const estimate = (x, y, z) => Math.hypot(goal.x - x, goal.y - y, goal.z - z);
+
+        return new Promise((resolve, reject) => {
+            const done = (status, node, nodesSearched) => resolve({
+                status,
+                waypoints: node ? Pathfinder.toWaypoints(node, simplify) : [],
+                nodesSearched,
+                ticks: system.currentTick - startTick
+            });
+
+            system.runJob((function* () {
+                try {
+                    // Start on the ground below the entity, as it may be jumping or falling
+                    const x = Math.floor(from.x), z = Math.floor(from.z);
+                    let y = Math.floor(from.y);
+                    for (let fall = 0; fall <= maxFall && !grid.isStandable(x, y, z, height); fall++) y--;
+                    if (!grid.isStandable(x, y, z, height))
+                        return done("invalidStart", undefined, 0);
+
+                    const start = { x, y, z, g: 0, h: estimate(x, y, z), parent: undefined };
+                    start.f = start.h;
+                    const open = new NodeHeap();
+                    /** @type {Map<string, {g: number}>} */
+                    const best = new Map([[`${x},${y},${z}`, start]]);
+                    const closed = new Set();
+                    let closest = start, searched = 0;
+                    open.push(start);
+
+                    while (open.size) {
+                        const node = open.pop();
+                        const key = `${node.x},${node.y},${node.z}`;
+                        if (closed.has(key)) continue;
+                        closed.add(key);
+                        if (node.h < closest.h) closest = node;
+                        if (node.h <= range) return done("found", node, searched);
+                        if (++searched >= maxNodes) return done("budgetExceeded", closest, searched);
+
+                        for (const [nx, ny, nz, cost] of Pathfinder.neighbors(grid, node, { height, maxStepUp, maxFall, diagonals })) {
+                            const neighborKey = `${nx},${ny},${nz}`;
+                            if (closed.has(neighborKey)) continue;
+                            const g = node.g + cost;
+                            if (best.has(neighborKey) && best.get(neighborKey).g <= g) continue;
+                            const h = estimate(nx, ny, nz);
+                            const neighbor = { x: nx, y: ny, z: nz, g, h, f: g + h, parent: node };
+                            best.set(neighborKey, neighbor);
+                            open.push(neighbor);
+                        }
+                        yield;
+                    }
+                    done("noPath", closest, searched);
+                } catch (error) {
+                    // e.g. an `isPassable` throwing, or a block read failing in an unloaded chunk
+                    reject(error);
+                }
+            })());
+        });
+    }
+
+    /**
+     * Checks if an entity could stand at a location.
+     * @param {Dimension} dimension
+     * @param {Vector3} location Feet location
+     * @param {WalkabilityRules} [rules]
+     * @returns {boolean}
+     * @example
+     * if (Pathfinder.isWalkable(dimension, spawnPoint, { avoidWater: true }))
+     *     dimension.spawnEntity("minecraft:villager_v2", spawnPoint);
+     */
+    static isWalkable(dimension, location, rules = {}) {
+        const grid = new BlockGrid(dimension, rules);
+        return grid.isStandable(Math.floor(location.x), Math.floor(location.y), Math.floor(location.z), rules.height ?? 2);
+    }
+
+    /**
+     * Spawns particles along waypoints to show a path to players.
+     * Particles in unloaded chunks are skipped.
+     * @param {Dimension} dimension
+     * @param {Vector3[]} waypoints
+     * @param {Object} [options]
+     * @param {string} [options.particle="minecraft:villager_happy"] Particle to spawn
+     * @param {number} [options.spacing=0.5] Distance between particles, in blocks
+     * @param {number} [options.height=0.2] Height of the particles above the ground
+     * @example
+     * import { system } from "@minecraft/server"
+     *
+     * // Show the trail every second
+     * system.runInterval(() => Pathfinder.drawPath(player.dimension, waypoints, { particle: "minecraft:blue_flame_particle" }), 20);
+     */
+    static drawPath(dimension, waypoints, { particle = "minecraft:villager_happy", spacing = 0.5, height = 0.2 } = {}) {
+        for (let i = 0; i < waypoints.length - 1; i++) {
+            const a = waypoints[i], b = waypoints[i + 1];
+            const steps = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z) / spacing));
+            // The last segment also draws its end point
+            const last = i === waypoints.length - 2 ? steps : steps - 1;
+            for (let step = 0; step <= last; step++) {
+                const t = step / steps;
+                try {
+                    dimension.spawnParticle(particle, { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t + height, z: a.z + (b.z - a.z) * t });
+                } catch { }
+            }
+        }
+    }
+
+    /**
+     * Lists the blocks reachable in one move from a node, with their cost.
+     * @private
+     * @param {BlockGrid} grid
+     * @param {Vector3} node
+     * @returns {Generator<[number, number, number, number]>} `[x, y, z, cost]`
+     */
+    static *neighbors(grid, { x, y, z }, { height, maxStepUp, maxFall, diagonals }) {
+        const swimming = grid.get(x, y, z).water;
+        for (const [dx, dz] of HORIZONTAL) {
+            const nx = x + dx, nz = z + dz;
+            if (grid.isClear(nx, y, nz, height)) {
+                if (grid.get(nx, y - 1, nz).floor) {
+                    yield [nx, y, nz, swimming || grid.get(nx, y, nz).water ? WATER_COST : 1];
+                    continue;
+                }
+                // Nothing to stand on: drop down
+                for (let fall = 1; fall <= maxFall; fall++) {
+                    if (!grid.get(nx, y - fall, nz).passable) break;
+                    if (grid.get(nx, y - fall - 1, nz).floor) {
+                        yield [nx, y - fall, nz, 1 + fall * FALL_COST];
+                        break;
+                    }
+                }
+                continue;
+            }
+            // Blocked: step up, if there is headroom to jump
+            for (let step = 1; step <= maxStepUp; step++) {
+                if (!grid.get(x, y + height + step - 1, z).passable) break;
+                if (grid.isStandable(nx, y + step, nz, height)) {
+                    yield [nx, y + step, nz, 1 + step * STEP_UP_COST];
+                    break;
+                }
+            }
+        }
+        if (!diagonals) return;
+        for (const [dx, dz] of DIAGONAL) {
+            const nx = x + dx, nz = z + dz;
+            // Only on flat ground, and without cutting corners
+            if (!grid.isStandable(nx, y, nz, height)) continue;
+            if (!grid.isClear(nx, y, z, height) || !grid.isClear(x, y, nz, height)) continue;
+            yield [nx, y, nz, Math.SQRT2 * (swimming || grid.get(nx, y, nz).water ? WATER_COST : 1)];
+        }
+    }
+
+    /**
+     * Walks back from the last node to build the waypoint list.
+     * @private
+     * @param {{x: number, y: number, z: number, parent?: Object}} node
+     * @param {boolean} simplify Drop waypoints in the middle of straight, flat lines
+     * @returns {Vector3[]}
+     */
+    static toWaypoints(node, simplify) {
+        const nodes = [];
+        for (let current = node; current; current = current.parent)
+            nodes.push(current);
+        nodes.reverse();
+        const kept = simplify ? nodes.filter((current, i) => {
+            if (i === 0 || i === nodes.length - 1) return true;
+            const previous = nodes[i - 1], next = nodes[i + 1];
+            return previous.y !== current.y || next.y !== current.y
+                || current.x - previous.x !== next.x - current.x
+                || current.z - previous.z !== next.z - current.z;
+        }) : nodes;
+        return kept.map(({ x, y, z }) => ({ x: x + 0.5, y, z: z + 0.5 }));
+    }
+}
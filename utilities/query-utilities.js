@@ -0,0 +1,357 @@
+import { world, Dimension, Entity } from "@minecraft/server";
+import { isValid } from "./custom-events.js";
+
+const ALL_DIMENSIONS = ["overworld", "nether", "the_end"];
+
+/**
+ * Internal state of a query. Native options are passed to `getEntities`, filters run on its results.
+ * @typedef {Object} QueryState
+ * @property {(Dimension | string)[]} dimensions
+ * @property {Record<string, any>} native EntityQueryOptions, without the location
+ * @property {Vector3 | Entity | undefined} location Center of `near`, or lowest corner of `inVolume`. An entity is followed at every run.
+ * @property {Vector3 | Entity | undefined} origin What `sortByDistance` measures from: the center of `near`, or the middle of `inVolume`
+ * @property {((entity: Entity) => boolean)[]} filters
+ * @property {((a: Entity, b: Entity) => number) | "nearest" | "farthest" | undefined} sort
+ * @property {number | undefined} limit
+ */
+
+/**
+ * @param {Vector3} a
+ * @param {Vector3} b
+ * @returns {number}
+ */
+function squaredDistance(a, b) {
+    const dx = a.x - b.x, dy = a.y - b.y, dz = a.z - b.z;
+    return dx * dx + dy * dy + dz * dz;
+}
+
+/**
+ * A fluent, reusable entity query.
+ *
+ * Every method returns a new query, so a query can be stored and refined without changing the original.
+ * Conditions that `Dimension.getEntities` supports are compiled to native `EntityQueryOptions`,
+ * the others (components, health, predicates, several types...) are filtered in JavaScript afterwards.
+ *
+ * @example
+ * import { world } from "@minecraft/server"
+ *
+ * const player = world.getPlayers()[0];
+ * const bosses = EntityQuery.in(player.dimension)
+ *  .near(player, 8)
+ *  .type("minecraft:zombie")
+ *  .withTag("boss")
+ *  .where(entity => !entity.hasTag("stunned"))
+ *  .sortByDistance()
+ *  .limit(3)
+ *  .get();
+ */
+export class EntityQuery {
+    /**
+     * Use {@link EntityQuery.in} or {@link EntityQuery.everywhere} to create a query.
+     * @private
+     * @param {QueryState} state
+     */
+    constructor(state) {
+        /** @private @type {QueryState} */
+        this.state = state;
+    }
+
+    /**
+     * Starts a query in some dimensions.
+     * @param {...(Dimension | string)} dimensions Dimensions or dimension ids
+     * @returns {EntityQuery}
+     * @throws If no dimension is given.
+     */
+    static in(...dimensions) {
+        if (dimensions.length === 0)
+            throw new Error("EntityQuery.in needs at least one dimension.");
+        return new EntityQuery({ dimensions, native: {}, location: undefined, origin: undefined, filters: [], sort: undefined, limit: undefined });
+    }
+
+    /**
+     * Starts a query in the overworld, the nether and the end.
+     * @returns {EntityQuery}
+     */
+    static everywhere() {
+        return EntityQuery.in(...ALL_DIMENSIONS);
+    }
+
+    /**
+     * Returns a copy of this query with some changes.
+     * @private
+     * @param {Partial<QueryState>} changes
+     * @returns {EntityQuery}
+     */
+    with(changes) {
+        const { native, filters } = this.state;
+        return new EntityQuery({ ...this.state, native: { ...native }, filters: [...filters], ...changes });
+    }
+
+    /**
+     * Returns a copy of this query with more native options.
+     * @private
+     * @param {Record<string, any>} options
+     * @returns {EntityQuery}
+     */
+    withNative(options) {
+        return this.with({ native: { ...this.state.native, ...options } });
+    }
+
+    /**
+     * Returns a copy of this query with one more filter.
+     * @private
+     * @param {(entity: Entity) => boolean} filter
+     * @returns {EntityQuery}
+     */
+    withFilter(filter) {
+        return this.with({ filters: [...this.state.filters, filter] });
+    }
+
+    /**
+     * Only entities within a distance of a location.
+     * When the center is an entity, its current location is used at every run and only its dimension is searched.
+     * @param {Vector3 | Entity} center
+     * @param {number} maxDistance
+     * @param {number} [minDistance]
+     * @returns {EntityQuery}
+     */
+    near(center, maxDistance, minDistance) {
+        const query = this.with({ location: center, origin: center });
+        return query.withNative({ maxDistance, ...(minDistance !== undefined ? { minDistance } : {}) });
+    }
+
+    /**
+     * Only entities inside a box.
+     * @param {Vector3} from A corner of the box
+     * @param {Vector3} to The opposite corner
+     * @returns {EntityQuery}
+     */
+    inVolume(from, to) {
+        const location = { x: Math.min(from.x, to.x), y: Math.min(from.y, to.y), z: Math.min(from.z, to.z) };
+        const volume = { x: Math.abs(to.x - from.x), y: Math.abs(to.y - from.y), z: Math.abs(to.z - from.z) };
+        const origin = { x: location.x + volume.x / 2, y: location.y + volume.y / 2, z: location.z + volume.z / 2 };
+        return this.with({ location, origin }).withNative({ volume });
+    }
+
+    /**
+     * Only entities of one of these types.
+     * @param {...string} typeIds
+     * @returns {EntityQuery}
+     */
+    type(...typeIds) {
+        if (typeIds.length === 1 && this.state.native.type === undefined)
+            return this.withNative({ type: typeIds[0] });
+        return this.withFilter(entity => typeIds.includes(entity.typeId));
+    }
+
+    /**
+     * Excludes entities of these types.
+     * @param {...string} typeIds
+     * @returns {EntityQuery}
+     */
+    excludeType(...typeIds) {
+        return this.withNative({ excludeTypes: [...(this.state.native.excludeTypes ?? []), ...typeIds] });
+    }
+
+    /**
+     * Only entities having all of these tags.
+     * @param {...string} tags
+     * @returns {EntityQuery}
+     */
+    withTag(...tags) {
+        return this.withNative({ tags: [...(this.state.native.tags ?? []), ...tags] });
+    }
+
+    /**
+     * Excludes entities having any of these tags.
+     * @param {...string} tags
+     * @returns {EntityQuery}
+     */
+    withoutTag(...tags) {
+        return this.withNative({ excludeTags: [...(this.state.native.excludeTags ?? []), ...tags] });
+    }
+
+    /**
+     * Only entities of all of these type families, e.g. "monster".
+     * @param {...string} families
+     * @returns {EntityQuery}
+     */
+    family(...families) {
+        return this.withNative({ families: [...(this.state.native.families ?? []), ...families] });
+    }
+
+    /**
+     * Excludes entities of any of these type families.
+     * @param {...string} families
+     * @returns {EntityQuery}
+     */
+    excludeFamily(...families) {
+        return this.withNative({ excludeFamilies: [...(this.state.native.excludeFamilies ?? []), ...families] });
+    }
+
+    /**
+     * Only entities with this name tag, or players with this name.
+     * @param {string} name
+     * @returns {EntityQuery}
+     */
+    name(name) {
+        return this.withNative({ name });
+    }
+
+    /**
+     * Only players in this game mode.
+     * @param {string} gameMode
+     * @returns {EntityQuery}
+     */
+    gameMode(gameMode) {
+        return this.withNative({ gameMode });
+    }
+
+    /**
+     * Only entities with a score in a range.
+     * @param {string} objective Scoreboard objective id
+     * @param {Object} range
+     * @param {number} [range.min]
+     * @param {number} [range.max]
+     * @param {boolean} [range.exclude=false] Excludes the entities in the range instead.
+     * @returns {EntityQuery}
+     * @example
+     * EntityQuery.everywhere().score("kills", { min: 10 }).get();
+     */
+    score(objective, { min, max, exclude = false } = {}) {
+        const scoreOption = { objective, exclude };
+        if (min !== undefined) scoreOption.minScore = min;
+        if (max !== undefined) scoreOption.maxScore = max;
+        return this.withNative({ scoreOptions: [...(this.state.native.scoreOptions ?? []), scoreOption] });
+    }
+
+    /**
+     * Only entities having a component.
+     * @param {string} component Component id, e.g. "minecraft:tameable"
+     * @returns {EntityQuery}
+     */
+    withComponent(component) {
+        return this.withFilter(entity => entity.hasComponent(component));
+    }
+
+    /**
+     * Only entities with a health in a range. Entities without health are excluded.
+     * @param {number} [min=-Infinity]
+     * @param {number} [max=Infinity]
+     * @returns {EntityQuery}
+     * @example
+     * // Wounded players
+     * EntityQuery.everywhere().type("minecraft:player").health(0, 10).get();
+     */
+    health(min = -Infinity, max = Infinity) {
+        return this.withFilter(entity => {
+            const health = entity.getComponent("health")?.currentValue;
+            return health !== undefined && health >= min && health <= max;
+        });
+    }
+
+    /**
+     * Only entities matching a predicate.
+     * @param {(entity: Entity) => boolean} predicate
+     * @returns {EntityQuery}
+     */
+    where(predicate) {
+        return this.withFilter(entity => !!predicate(entity));
+    }
+
+    /**
+     * Sorts the entities by distance to the center of {@link EntityQuery.near}, or the middle of the {@link EntityQuery.inVolume} box.
+     * @param {boolean} [farthestFirst=false]
+     * @returns {EntityQuery}
+     * @throws If the query has no location.
+     */
+    sortByDistance(farthestFirst = false) {
+        if (!this.state.origin)
+            throw new Error("sortByDistance needs a location, call near or inVolume first.");
+        return this.with({ sort: farthestFirst ? "farthest" : "nearest" });
+    }
+
+    /**
+     * Sorts the entities.
+     * @param {(a: Entity, b: Entity) => number} compare
+     * @returns {EntityQuery}
+     */
+    sortBy(compare) {
+        return this.with({ sort: compare });
+    }
+
+    /**
+     * Keeps at most a number of entities.
+     * @param {number} count
+     * @returns {EntityQuery}
+     */
+    limit(count) {
+        return this.with({ limit: count });
+    }
+
+    /**
+     * Gets the native options the query compiles to, for one dimension.
+     * Conditions filtered in JavaScript are not included.
+     * @returns {Record<string, any>} EntityQueryOptions
+     */
+    toQueryOptions() {
+        const { native, location, origin, filters, sort, limit } = this.state;
+        const options = { ...native };
+        if (location) options.location = location instanceof Entity ? location.location : location;
+        // The engine can sort by distance and limit on its own, as long as no entity is filtered out afterwards.
+        // It measures from the location, which is only the origin for `near`.
+        if (limit !== undefined && filters.length === 0 && origin === location) {
+            if (sort === "nearest") options.closest = limit;
+            else if (sort === "farthest") options.farthest = limit;
+        }
+        return options;
+    }
+
+    /**
+     * Runs the query.
+     * @returns {Entity[]}
+     */
+    get() {
+        const { dimensions, location, origin, filters, sort, limit } = this.state;
+        if (location instanceof Entity && !isValid(location)) return [];
+        const options = this.toQueryOptions();
+        const searched = location instanceof Entity
+            ? [location.dimension]
+            : dimensions.map(dimension => typeof dimension === "string" ? world.getDimension(dimension) : dimension);
+        let entities = searched.flatMap(dimension => dimension.getEntities(options));
+        if (filters.length > 0)
+            entities = entities.filter(entity => filters.every(filter => filter(entity)));
+        if (sort === "nearest" || sort === "farthest") {
+            const sign = sort === "nearest" ? 1 : -1;
+            const from = origin instanceof Entity ? origin.location : origin;
+            entities.sort((a, b) => sign * (squaredDistance(a.location, from) - squaredDistance(b.location, from)));
+        } else if (sort) {
+            entities.sort(sort);
+        }
+        return limit !== undefined ? entities.slice(0, limit) : entities;
+    }
+
+    /**
+     * Runs the query and gets the first entity.
+     * @returns {Entity | undefined}
+     */
+    first() {
+        return this.limit(1).get()[0];
+    }
+
+    /**
+     * Runs the query and counts the entities.
+     * @returns {number}
+     */
+    count() {
+        return this.get().length;
+    }
+
+    /**
+     * Runs the query and checks if any entity matches.
+     * @returns {boolean}
+     */
+    exists() {
+        return this.first() !== undefined;
+    }
+}
@@ -0,0 +1,238 @@
+import { system, Entity } from "@minecraft/server";
+import { CustomEvents, isValid } from "./custom-events.js";
+import { EntityQuery } from "./query-utilities.js";
+
+/** @typedef {import("./custom-events.js").EventSubscription} EventSubscription */
+
+/**
+ * What a mount is compared against:
+ * - a type id, e.g. `"minecraft:horse"`
+ * - an object with a `type`, `tag` and/or `family`, all of which must match
+ * - a function receiving the mount
+ * @typedef {string | {type?: string, tag?: string, family?: string} | ((mount: Entity) => boolean)} MountMatcher
+ */
+
+/** Guards against broken riding data, a chain can't be longer than this */
+const MAX_CHAIN = 32;
+
+/**
+ * Gets a component without throwing, e.g. when the entity was removed.
+ * @param {Entity} entity
+ * @param {string} name
+ */
+function tryGetComponent(entity, name) {
+    try {
+        return entity?.getComponent(name);
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * @param {Entity} mount
+ * @param {MountMatcher} matcher
+ * @returns {boolean}
+ */
+function matches(mount, matcher) {
+    if (typeof matcher === "function") return !!matcher(mount);
+    if (typeof matcher === "string") return mount.typeId === matcher;
+    const { type, tag, family } = matcher;
+    if (type !== undefined && mount.typeId !== type) return false;
+    if (tag !== undefined && !mount.hasTag(tag)) return false;
+    if (family !== undefined && !tryGetComponent(mount, "type_family")?.hasTypeFamily(family)) return false;
+    return true;
+}
+
+/**
+ * Mounts, riders and passengers. None of these methods throw on entities that are not riding anything.
+ *
+ * The mount chain of an entity goes from what it rides to what that rides, and so on:
+ * for a player in a boat on a minecart, it is `[boat, minecart]`.
+ *
+ * @example
+ * import { world } from "@minecraft/server"
+ *
+ * const player = world.getPlayers()[0];
+ * if (RidingUtils.isRiding(player, { family: "boat" }))
+ *  player.sendMessage(`The boat carries ${RidingUtils.getPassengers(RidingUtils.getMount(player)).length} players`);
+ */
+export class RidingUtils {
+
+    /**
+     * Gets the entity an entity is directly riding.
+     * @param {Entity} entity
+     * @returns {Entity | undefined}
+     */
+    static getMount(entity) {
+        const mount = tryGetComponent(entity, "riding")?.entityRidingOn;
+        return mount && isValid(mount) ? mount : undefined;
+    }
+
+    /**
+     * Gets every entity an entity is carried by, from its direct mount to the bottom of the stack.
+     * @param {Entity} entity
+     * @returns {Entity[]} Empty if the entity is not riding anything.
+     */
+    static getMountChain(entity) {
+        const chain = [];
+        for (let mount = RidingUtils.getMount(entity); mount && chain.length < MAX_CHAIN; mount = RidingUtils.getMount(mount))
+            chain.push(mount);
+        return chain;
+    }
+
+    /**
+     * Gets the entity at the bottom of the stack an entity rides, the one actually moving.
+     * @param {Entity} entity
+     * @returns {Entity | undefined} Undefined if the entity is not riding anything.
+     */
+    static getRootMount(entity) {
+        return RidingUtils.getMountChain(entity).at(-1);
+    }
+
+    /**
+     * Gets the entities directly riding an entity.
+     * @param {Entity} entity
+     * @returns {Entity[]} Empty if the entity can't be ridden or has no riders.
+     */
+    static getPassengers(entity) {
+        try {
+            return tryGetComponent(entity, "rideable")?.getRiders().filter(isValid) ?? [];
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Gets every entity carried by an entity, riders of its riders included, nearest first.
+     * @param {Entity} entity
+     * @returns {Entity[]}
+     * @example
+     * // Teleport a whole boat with everyone in it
+     * const carried = RidingUtils.getAllPassengers(boat);
+     */
+    static getAllPassengers(entity) {
+        const passengers = [];
+        const seen = new Set([entity.id]);
+        for (let i = -1; i < passengers.length; i++) {
+            for (const passenger of RidingUtils.getPassengers(i < 0 ? entity : passengers[i])) {
+                if (seen.has(passenger.id)) continue;
+                seen.add(passenger.id);
+                passengers.push(passenger);
+            }
+        }
+        return passengers;
+    }
+
+    /**
+     * Checks if an entity is riding something, optionally a matching mount.
+     * @param {Entity} entity
+     * @param {MountMatcher} [matcher] What the mount must match. Any mount if omitted.
+     * @param {Object} [options]
+     * @param {boolean} [options.chain=false] Check every mount of the chain instead of only the direct one.
+     * @returns {boolean}
+     * @example
+     * RidingUtils.isRiding(player, "minecraft:horse");
+     * RidingUtils.isRiding(player, { tag: "race_boat" });
+     * RidingUtils.isRiding(player, mount => mount.getComponent("tameable")?.isTamed, { chain: true });
+     */
+    static isRiding(entity, matcher, { chain = false } = {}) {
+        const mounts = chain ? RidingUtils.getMountChain(entity) : [RidingUtils.getMount(entity)].filter(Boolean);
+        if (matcher === undefined) return mounts.length > 0;
+        return mounts.some(mount => matches(mount, matcher));
+    }
+
+    /**
+     * Makes an entity ride another one.
+     * @param {Entity} rider
+     * @param {Entity} mount
+     * @returns {boolean} True if the rider was added, false if the mount can't be ridden, is full or doesn't accept the rider.
+     */
+    static mount(rider, mount) {
+        try {
+            return tryGetComponent(mount, "rideable")?.addRider(rider) ?? false;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Makes an entity get off what it rides.
+     * @param {Entity} rider
+     * @returns {boolean} True if the entity was riding something.
+     */
+    static dismount(rider) {
+        const mount = RidingUtils.getMount(rider);
+        if (!mount) return false;
+        try {
+            tryGetComponent(mount, "rideable")?.ejectRider(rider);
+        } catch {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Ejects every rider of an entity.
+     * @param {Entity} entity
+     * @param {Object} [options]
+     * @param {boolean} [options.recursive=false] Also eject the riders of its riders, splitting the whole stack.
+     * @returns {Entity[]} The ejected riders.
+     */
+    static ejectAll(entity, { recursive = false } = {}) {
+        const riders = recursive ? RidingUtils.getAllPassengers(entity) : RidingUtils.getPassengers(entity);
+        // Eject from the top of the stack down, so riders don't fall onto another mount
+        for (const rider of [...riders].reverse())
+            RidingUtils.dismount(rider);
+        return riders;
+    }
+
+    /**
+     * Detects entities mounting and dismounting.
+     * Riding is polled, so getting off a mount and onto another between two checks gives a `dismount` then a `mount` event.
+     * @param {function({type: "mount" | "dismount", rider: Entity, mount: Entity | undefined, mountId: string})} callBack
+     * `mount` is undefined when dismounting an entity that was removed, e.g. a broken boat.
+     * @param {Object} [options]
+     * @param {"players" | "all"} [options.riders="players"] Watch only players, or every entity of every dimension.
+     * @param {number} [options.interval=1] Ticks between checks. Watching every entity is costly, use a larger interval.
+     * @param {MountMatcher} [options.mounts] Only report these mounts. Dismounts from removed mounts are always reported.
+     * @returns {EventSubscription}
+     * @example
+     * RidingUtils.onMountChange(({ type, rider, mount }) => {
+     *  if (type === "mount") rider.sendMessage("Race starts when every boat is full!");
+     * }, { mounts: { tag: "race_boat" } });
+     */
+    static onMountChange(callBack, options = {}) {
+        const { riders = "players", interval = 1, mounts } = options;
+        /** @type {Map<string, {rider: Entity, mount: Entity, mountId: string}>} */
+        const ridingNow = new Map();
+        const report = (type, rider, mount, mountId) => {
+            if (mounts !== undefined && mount && isValid(mount) && !matches(mount, mounts)) return;
+            callBack({ type, rider, mount: mount && isValid(mount) ? mount : undefined, mountId });
+        };
+        return CustomEvents.bus.on("playerTick", (players) => {
+            if (system.currentTick % interval !== 0) return;
+            const watched = riders === "all" ? EntityQuery.everywhere().get() : players;
+            const seen = new Set();
+            for (const rider of watched) {
+                seen.add(rider.id);
+                const mount = RidingUtils.getMount(rider);
+                const previous = ridingNow.get(rider.id);
+                if (previous && previous.mountId !== mount?.id) {
+                    ridingNow.delete(rider.id);
+                    report("dismount", rider, previous.mount, previous.mountId);
+                }
+                if (mount && previous?.mountId !== mount.id) {
+                    ridingNow.set(rider.id, { rider, mount, mountId: mount.id });
+                    report("mount", rider, mount, mount.id);
+                }
+            }
+            // Riders that left or were removed
+            for (const [id, previous] of ridingNow) {
+                if (seen.has(id)) continue;
+                ridingNow.delete(id);
+                if (isValid(previous.rider))
+                    report("dismount", previous.rider, previous.mount, previous.mountId);
+            }
+        });
+    }
+}
@@ -0,0 +1,314 @@
+import { world, Entity, Player, ItemStack, EquipmentSlot } from "@minecraft/server";
+import { ItemCodec, EQUIPMENT_SLOTS } from "./itemstack-utilities.js";
+import { ChunkedStorage } from "./storage-utilities.js";
+
+/** @typedef {import("./itemstack-utilities.js").ItemData} ItemData */
+
+/**
+ * Parts of an entity state a snapshot can hold.
+ * - `location`: location and dimension
+ * - `rotation`: pitch and yaw
+ * - `health`: current health
+ * - `effects`: effects, with their remaining duration and amplifier
+ * - `tags`
+ * - `dynamicProperties`: except the ones of {@link ChunkedStorage}, e.g. saved inventories, which restoring mustn't roll back
+ * - `properties`: entity properties listed in the `propertyIds` option, as they can't be listed
+ * - `gameMode`: players only
+ * - `experience`: level and progress, players only
+ * - `inventory`: items and selected slot
+ * - `equipment`: armor and offhand, plus the mainhand of non-players
+ * @typedef {"location" | "rotation" | "health" | "effects" | "tags" | "dynamicProperties" | "properties" | "gameMode" | "experience" | "inventory" | "equipment"} SnapshotField
+ */
+
+/**
+ * A serializable entity state. Fields that were not captured, or don't apply to the entity, are undefined.
+ * @typedef {Object} EntitySnapshotData
+ * @property {number} version Format version
+ * @property {string} typeId Type of the captured entity
+ * @property {number} capturedAt Time of the capture, in milliseconds since 1970
+ * @property {{x: number, y: number, z: number, dimension: string}} [location]
+ * @property {Vector2} [rotation]
+ * @property {number} [health]
+ * @property {{typeId: string, duration: number, amplifier: number}[]} [effects]
+ * @property {string[]} [tags]
+ * @property {Record<string, string | number | boolean | Vector3>} [dynamicProperties]
+ * @property {Record<string, string | number | boolean>} [properties]
+ * @property {string} [gameMode]
+ * @property {{level: number, progress: number}} [experience]
+ * @property {{slots: (ItemData | null)[], selectedSlot?: number}} [inventory]
+ * @property {Record<string, ItemData | null>} [equipment]
+ */
+
+const VERSION = 1;
+
+const ALL_FIELDS = ["location", "rotation", "health", "effects", "tags", "dynamicProperties", "properties", "gameMode", "experience", "inventory", "equipment"];
+
+/** Prefix of the dynamic properties holding named snapshots, never captured nor cleared themselves */
+const KEY_PREFIX = "snapshot:";
+
+/** Duration given to restored effects that had an infinite one */
+const INFINITE_DURATION = 20000000;
+
+/**
+ * @param {Entity} entity
+ * @returns {EquipmentSlot[]}
+ */
+function equipmentSlots(entity) {
+    // A player's mainhand is the selected inventory slot, already part of the inventory
+    return entity instanceof Player ? EQUIPMENT_SLOTS : [EquipmentSlot.Mainhand, ...EQUIPMENT_SLOTS];
+}
+
+/**
+ * Tells if a property is left out of the `dynamicProperties` field: a stored snapshot, or part of a {@link ChunkedStorage} value.
+ * @param {Entity} entity
+ * @param {string} id
+ * @returns {boolean}
+ */
+function isStorageProperty(entity, id) {
+    return id.startsWith(KEY_PREFIX) || ChunkedStorage.isStorageProperty(entity, id);
+}
+
+/**
+ * Reads each field of an entity. Returns undefined when the field doesn't apply to the entity.
+ * @type {Record<SnapshotField, (entity: Entity, options: {propertyIds: string[]}) => any>}
+ */
+const capturers = {
+    location: (entity) => ({ ...entity.location, dimension: entity.dimension.id }),
+    rotation: (entity) => ({ ...entity.getRotation() }),
+    health: (entity) => entity.getComponent("health")?.currentValue,
+    effects: (entity) => entity.getEffects().map(({ typeId, duration, amplifier }) => ({ typeId, duration, amplifier })),
+    tags: (entity) => entity.getTags(),
+    dynamicProperties: (entity) => Object.fromEntries(entity.getDynamicPropertyIds()
+        .filter(id => !isStorageProperty(entity, id))
+        .map(id => [id, entity.getDynamicProperty(id)])),
+    properties: (entity, { propertyIds }) => Object.fromEntries(propertyIds.map(id => [id, entity.getProperty(id)]).filter(([, value]) => value !== undefined)),
+    gameMode: (entity) => entity instanceof Player ? entity.getGameMode() : undefined,
+    experience: (entity) => entity instanceof Player ? { level: entity.level, progress: entity.xpEarnedAtCurrentLevel } : undefined,
+    inventory: (entity) => {
+        const container = entity.getComponent("inventory")?.container;
+        if (!container) return undefined;
+        const slots = [];
+        for (let slot = 0; slot < container.size; slot++)
+            slots.push(ItemCodec.encode(container.getItem(slot)));
+        return { slots, selectedSlot: entity instanceof Player ? entity.selectedSlotIndex : undefined };
+    },
+    equipment: (entity) => {
+        const equippable = entity.getComponent("equippable");
+        if (!equippable) return undefined;
+        return Object.fromEntries(equipmentSlots(entity).map(slot => [slot, ItemCodec.encode(equippable.getEquipment(slot))]));
+    }
+};
+
+/**
+ * Writes each field to an entity. `location` and `rotation` are restored together, by {@link EntitySnapshot.restore}.
+ * @type {Record<Exclude<SnapshotField, "location" | "rotation">, (entity: Entity, value: any) => void>}
+ */
+const restorers = {
+    health: (entity, value) => entity.getComponent("health")?.setCurrentValue(value),
+    effects: (entity, effects) => {
+        for (const effect of entity.getEffects())
+            entity.removeEffect(effect.typeId);
+        for (const { typeId, duration, amplifier } of effects)
+            entity.addEffect(typeId, duration > 0 ? duration : INFINITE_DURATION, { amplifier });
+    },
+    tags: (entity, tags) => {
+        for (const tag of entity.getTags())
+            if (!tags.includes(tag)) entity.removeTag(tag);
+        for (const tag of tags)
+            entity.addTag(tag);
+    },
+    dynamicProperties: (entity, properties) => {
+        for (const id of entity.getDynamicPropertyIds())
+            if (!isStorageProperty(entity, id)) entity.setDynamicProperty(id, undefined);
+        for (const id in properties)
+            entity.setDynamicProperty(id, properties[id]);
+    },
+    properties: (entity, properties) => {
+        for (const id in properties)
+            entity.setProperty(id, properties[id]);
+    },
+    gameMode: (entity, gameMode) => entity.setGameMode(gameMode),
+    experience: (entity, { level, progress }) => {
+        entity.resetLevel();
+        entity.addLevels(level);
+        entity.addExperience(progress);
+    },
+    inventory: (entity, { slots, selectedSlot }) => {
+        const container = entity.getComponent("inventory")?.container;
+        if (!container) return;
+        for (let slot = 0; slot < container.size; slot++)
+            container.setItem(slot, ItemCodec.safeDecode(slots[slot] ?? null, "a snapshot"));
+        if (selectedSlot !== undefined && entity instanceof Player)
+            entity.selectedSlotIndex = selectedSlot;
+    },
+    equipment: (entity, equipment) => {
+        const equippable = entity.getComponent("equippable");
+        if (!equippable) return;
+        for (const slot in equipment)
+            equippable.setEquipment(slot, ItemCodec.safeDecode(equipment[slot], "a snapshot"));
+    }
+};
+
+/**
+ * Captures and restores the full state of an entity or player, for checkpoints, minigame lobbies...
+ *
+ * Snapshots are plain objects that can be stored as JSON. Named snapshots are saved in a dynamic property
+ * of the world, or of any entity given as `storage`.
+ *
+ * @example
+ * import { world } from "@minecraft/server"
+ *
+ * const player = world.getPlayers()[0];
+ * // Before the minigame
+ * EntitySnapshot.save(`lobby:${player.id}`, player);
+ * // After it, give everything back but keep the minigame tags
+ * EntitySnapshot.load(player, `lobby:${player.id}`, { exclude: ["tags"] });
+ */
+export class EntitySnapshot {
+
+    /**
+     * Every field a snapshot can hold.
+     * @type {ReadonlyArray<SnapshotField>}
+     */
+    static FIELDS = Object.freeze([...ALL_FIELDS]);
+
+    /**
+     * Captures the state of an entity.
+     * @param {Entity} entity
+     * @param {Object} [options]
+     * @param {SnapshotField[]} [options.fields] Fields to capture, all of them by default.
+     * @param {SnapshotField[]} [options.exclude] Fields not to capture.
+     * @param {string[]} [options.propertyIds=[]] Entity properties to capture, e.g. "mypack:phase".
+     * @returns {EntitySnapshotData}
+     * @throws If a field is unknown.
+     */
+    static capture(entity, options = {}) {
+        const { propertyIds = [] } = options;
+        /** @type {EntitySnapshotData} */
+        const snapshot = { version: VERSION, typeId: entity.typeId, capturedAt: Date.now() };
+        for (const field of EntitySnapshot.selectFields(options)) {
+            try {
+                const value = capturers[field](entity, { propertyIds });
+                if (value !== undefined) snapshot[field] = value;
+            } catch (error) {
+                console.error(`Error: Failed to capture the ${field} of ${entity.typeId}.`, error);
+            }
+        }
+        return snapshot;
+    }
+
+    /**
+     * Restores a snapshot on an entity. Fields missing from the snapshot are left untouched,
+     * and a field failing to restore doesn't stop the others.
+     * @param {Entity} entity
+     * @param {EntitySnapshotData} snapshot
+     * @param {Object} [options]
+     * @param {SnapshotField[]} [options.fields] Fields to restore, all of them by default.
+     * @param {SnapshotField[]} [options.exclude] Fields not to restore.
+     * @returns {SnapshotField[]} The restored fields.
+     * @throws If the snapshot has a newer format version, or a field is unknown.
+     * @example
+     * // Back to the checkpoint, with full health, but keeping the current items
+     * EntitySnapshot.restore(player, checkpoint, { fields: ["location", "rotation", "health"] });
+     */
+    static restore(entity, snapshot, options = {}) {
+        if (snapshot.version > VERSION)
+            throw new Error(`Snapshot version ${snapshot.version} is not supported, the latest is ${VERSION}.`);
+        const fields = EntitySnapshot.selectFields(options).filter(field => snapshot[field] !== undefined);
+        const restored = [];
+        // Location and rotation go in one teleport
+        const location = fields.includes("location") ? snapshot.location : undefined;
+        const rotation = fields.includes("rotation") ? snapshot.rotation : undefined;
+        if (location || rotation) {
+            try {
+                const { dimension, ...coordinates } = location ?? { ...entity.location, dimension: entity.dimension.id };
+                entity.teleport(coordinates, { dimension: world.getDimension(dimension), ...(rotation ? { rotation } : {}) });
+                if (location) restored.push("location");
+                if (rotation) restored.push("rotation");
+            } catch (error) {
+                console.error(`Error: Failed to restore the location of ${entity.typeId}.`, error);
+            }
+        }
+        for (const field of fields) {
+            if (field === "location" || field === "rotation") continue;
+            try {
+                restorers[field](entity, snapshot[field]);
+                restored.push(field);
+            } catch (error) {
+                console.error(`Error: Failed to restore the ${field} of ${entity.typeId}.`, error);
+            }
+        }
+        return restored;
+    }
+
+    /**
+     * Captures the state of an entity and stores it under a name.
+     * @param {string} name Name of the snapshot, replaces any snapshot with the same name.
+     * @param {Entity} entity
+     * @param {Object} [options] Same options as {@link EntitySnapshot.capture}, plus:
+     * @param {Entity | import("@minecraft/server").World} [options.storage=world] Where to store the snapshot.
+     * @returns {EntitySnapshotData}
+     */
+    static save(name, entity, options = {}) {
+        const { storage = world } = options;
+        const snapshot = EntitySnapshot.capture(entity, options);
+        ChunkedStorage.set(storage, `${KEY_PREFIX}${name}`, snapshot);
+        return snapshot;
+    }
+
+    /**
+     * Gets a stored snapshot.
+     * @param {string} name
+     * @param {Entity | import("@minecraft/server").World} [storage=world]
+     * @returns {EntitySnapshotData | undefined}
+     * @throws If the stored snapshot is corrupted.
+     */
+    static get(name, storage = world) {
+        return ChunkedStorage.get(storage, `${KEY_PREFIX}${name}`);
+    }
+
+    /**
+     * Restores a stored snapshot on an entity.
+     * @param {Entity} entity
+     * @param {string} name
+     * @param {Object} [options] Same options as {@link EntitySnapshot.restore}, plus:
+     * @param {Entity | import("@minecraft/server").World} [options.storage=world] Where the snapshot is stored.
+     * @returns {SnapshotField[] | undefined} The restored fields, undefined if there is no such snapshot.
+     */
+    static load(entity, name, options = {}) {
+        const snapshot = EntitySnapshot.get(name, options.storage);
+        return snapshot ? EntitySnapshot.restore(entity, snapshot, options) : undefined;
+    }
+
+    /**
+     * Deletes a stored snapshot.
+     * @param {string} name
+     * @param {Entity | import("@minecraft/server").World} [storage=world]
+     */
+    static delete(name, storage = world) {
+        ChunkedStorage.delete(storage, `${KEY_PREFIX}${name}`);
+    }
+
+    /**
+     * Lists the names of the stored snapshots.
+     * @param {Entity | import("@minecraft/server").World} [storage=world]
+     * @returns {string[]}
+     */
+    static list(storage = world) {
+        return ChunkedStorage.keys(storage)
+            .filter(id => id.startsWith(KEY_PREFIX))
+            .map(id => id.slice(KEY_PREFIX.length));
+    }
+
+    /**
+     * @private
+     * @param {{fields?: SnapshotField[], exclude?: SnapshotField[]}} options
+     * @returns {SnapshotField[]}
+     */
+    static selectFields({ fields = ALL_FIELDS, exclude = [] }) {
+        for (const field of [...fields, ...exclude])
+            if (!ALL_FIELDS.includes(field))
+                throw new Error(`Unknown snapshot field "${field}".`);
+        return fields.filter(field => !exclude.includes(field));
+    }
+}
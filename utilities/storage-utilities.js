@@ -0,0 +1,236 @@
+import { world, Entity, ItemStack } from "@minecraft/server";
+
+/**
+ * Anything holding dynamic properties: the world, an entity or an ItemStack.
+ * @typedef {import("@minecraft/server").World | Entity | ItemStack} PropertyHolder
+ */
+
+/**
+ * Stored at the key of a value, describing its chunks.
+ * @typedef {Object} ChunkHeader
+ * @property {1} chunked Marks the property as a header
+ * @property {0 | 1} generation Which set of chunks holds the value. Writes go to the other set, then switch.
+ * @property {number} count Number of chunks
+ * @property {number} length Length of the whole JSON string
+ * @property {string} checksum FNV-1a hash of the whole JSON string
+ */
+
+/**
+ * Max UTF-8 bytes of a chunk. Dynamic property strings are limited to 32767 bytes, and `§` or non-ASCII text
+ * takes several bytes per character, so chunks are measured in bytes. Some room is kept for safety.
+ */
+const CHUNK_BYTES = 32000;
+
+const CHUNK_ID = /^(.*):chunk:([01]):(\d+)$/;
+
+/**
+ * @param {string} key
+ * @param {number} generation
+ * @param {number} index
+ * @returns {string}
+ */
+function chunkId(key, generation, index) {
+    return `${key}:chunk:${generation}:${index}`;
+}
+
+/**
+ * Splits a string into parts of at most `CHUNK_BYTES` bytes once encoded in UTF-8, without cutting a character in two.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitChunks(text) {
+    const chunks = [];
+    let start = 0, bytes = 0, index = 0;
+    for (const character of text) {
+        const code = character.codePointAt(0);
+        const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+        if (bytes + size > CHUNK_BYTES) {
+            chunks.push(text.slice(start, index));
+            start = index;
+            bytes = 0;
+        }
+        bytes += size;
+        index += character.length;
+    }
+    if (start < text.length) chunks.push(text.slice(start));
+    return chunks;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string, as 8 hex digits.
+ * @param {string} text
+ * @returns {string}
+ */
+function checksum(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+/**
+ * Reads the header stored at a key.
+ * @param {PropertyHolder} holder
+ * @param {string} key
+ * @returns {{header?: ChunkHeader, raw: string | number | boolean | Vector3 | undefined}}
+ * `header` is undefined when the key holds a plain value, or nothing.
+ */
+function readHeader(holder, key) {
+    const raw = holder.getDynamicProperty(key);
+    if (typeof raw !== "string" || !raw.startsWith('{"chunked":1')) return { raw };
+    return { header: JSON.parse(raw), raw };
+}
+
+/**
+ * Stores values of any size in dynamic properties, split across numbered chunk properties.
+ *
+ * Values are saved as JSON, so they must be JSON-serializable: read back, Maps, Sets and class instances are plain objects,
+ * `NaN` and `Infinity` are null, and properties set to `undefined` or functions are gone.
+ * A header at the value's key lists its chunks along with a checksum.
+ * Writes are atomic: chunks are written to a second set of properties, and the header switching to them
+ * is written last. If a write is interrupted, readers still get the previous value, and the checksum catches
+ * any chunk changed behind the header's back. Chunks of the previous value are deleted after each write.
+ *
+ * Works on the world, entities and ItemStacks. An ItemStack must be put back in its container afterwards, as usual.
+ *
+ * @example
+ * import { world } from "@minecraft/server"
+ *
+ * ChunkedStorage.set(world, "quests", { active: [...], done: [...] });
+ * const quests = ChunkedStorage.get(world, "quests");
+ */
+export class ChunkedStorage {
+
+    /**
+     * Stores a value.
+     * @param {PropertyHolder} holder
+     * @param {string} key
+     * @param {any} value Any JSON-serializable value. `undefined` deletes the key.
+     * @throws If the value can't be saved as JSON, e.g. a function, a BigInt or an object referencing itself.
+     */
+    static set(holder, key, value) {
+        if (value === undefined) return ChunkedStorage.delete(holder, key);
+        const json = JSON.stringify(value);
+        if (json === undefined)
+            throw new Error(`Can't store "${key}": a ${typeof value} is not JSON-serializable.`);
+        const previous = readHeader(holder, key).header;
+        const generation = previous ? 1 - previous.generation : 0;
+        const chunks = splitChunks(json);
+        const count = chunks.length;
+        chunks.forEach((chunk, i) => holder.setDynamicProperty(chunkId(key, generation, i), chunk));
+        /** @type {ChunkHeader} */
+        const header = { chunked: 1, generation, count, length: json.length, checksum: checksum(json) };
+        // Commit: from here on, readers see the new chunks
+        holder.setDynamicProperty(key, JSON.stringify(header));
+        ChunkedStorage.deleteChunks(holder, key, chunk => chunk.generation !== generation || chunk.index >= count);
+    }
+
+    /**
+     * Reads a value.
+     * Plain JSON strings written with `setDynamicProperty`, e.g. before switching to this storage, are read too.
+     * @param {PropertyHolder} holder
+     * @param {string} key
+     * @returns {any} Undefined if nothing is stored at the key.
+     * @throws If the value is corrupted: a chunk is missing, or the checksum doesn't match.
+     */
+    static get(holder, key) {
+        const { header, raw } = readHeader(holder, key);
+        if (!header) {
+            if (typeof raw !== "string") return raw;
+            try {
+                return JSON.parse(raw);
+            } catch {
+                return raw;
+            }
+        }
+        let json = "";
+        for (let i = 0; i < header.count; i++) {
+            const chunk = holder.getDynamicProperty(chunkId(key, header.generation, i));
+            if (typeof chunk !== "string")
+                throw new Error(`Stored value "${key}" is corrupted: chunk ${i} of ${header.count} is missing.`);
+            json += chunk;
+        }
+        if (json.length !== header.length || checksum(json) !== header.checksum)
+            throw new Error(`Stored value "${key}" is corrupted: checksum mismatch.`);
+        return JSON.parse(json);
+    }
+
+    /**
+     * @param {PropertyHolder} holder
+     * @param {string} key
+     * @returns {boolean} True if a value is stored at the key.
+     */
+    static has(holder, key) {
+        return holder.getDynamicProperty(key) !== undefined;
+    }
+
+    /**
+     * Deletes a value and its chunks.
+     * @param {PropertyHolder} holder
+     * @param {string} key
+     */
+    static delete(holder, key) {
+        holder.setDynamicProperty(key, undefined);
+        ChunkedStorage.deleteChunks(holder, key, () => true);
+    }
+
+    /**
+     * Lists the keys of the stored values, without their chunks.
+     * @param {PropertyHolder} holder
+     * @returns {string[]}
+     */
+    static keys(holder) {
+        return holder.getDynamicPropertyIds().filter(id => !CHUNK_ID.test(id));
+    }
+
+    /**
+     * Tells if a dynamic property belongs to this storage: the header of a value, or one of its chunks.
+     * Handy to leave them out when going through all the properties of a holder.
+     * @param {PropertyHolder} holder
+     * @param {string} id
+     * @returns {boolean}
+     */
+    static isStorageProperty(holder, id) {
+        return CHUNK_ID.test(id) || readHeader(holder, id).header !== undefined;
+    }
+
+    /**
+     * Deletes every chunk not used by the current value of its key, e.g. left by an interrupted write.
+     * @param {PropertyHolder} [holder=world]
+     * @returns {number} Number of deleted chunks.
+     */
+    static collectGarbage(holder = world) {
+        let deleted = 0;
+        /** @type {Map<string, ChunkHeader | undefined>} */
+        const headers = new Map();
+        for (const id of holder.getDynamicPropertyIds()) {
+            const match = CHUNK_ID.exec(id);
+            if (!match) continue;
+            const [, key, generation, index] = match;
+            if (!headers.has(key)) headers.set(key, readHeader(holder, key).header);
+            const header = headers.get(key);
+            if (header && header.generation === Number(generation) && Number(index) < header.count) continue;
+            holder.setDynamicProperty(id, undefined);
+            deleted++;
+        }
+        return deleted;
+    }
+
+    /**
+     * Deletes the chunks of a key matching a condition.
+     * @private
+     * @param {PropertyHolder} holder
+     * @param {string} key
+     * @param {(chunk: {generation: number, index: number}) => boolean} shouldDelete
+     */
+    static deleteChunks(holder, key, shouldDelete) {
+        for (const id of holder.getDynamicPropertyIds()) {
+            const match = CHUNK_ID.exec(id);
+            if (!match || match[1] !== key) continue;
+            if (shouldDelete({ generation: Number(match[2]), index: Number(match[3]) }))
+                holder.setDynamicProperty(id, undefined);
+        }
+    }
+}
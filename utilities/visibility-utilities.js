@@ -0,0 +1,198 @@
+import { Entity, Block, Dimension } from "@minecraft/server";
+import { EntityQuery } from "./query-utilities.js";
+
+/**
+ * @typedef {Object} VisibilityOptions
+ * @property {number} [fov=Infinity] Full angle of the viewer's vision cone, in degrees. `Infinity` sees all around.
+ * @property {number} [maxDistance=64] Max distance between the eyes of the viewer and the target
+ * @property {boolean} [ignoreTransparentBlocks=true] See through glass, leaves, iron bars...
+ * @property {(block: Block) => boolean} [isTransparent] Overrides which blocks are seen through
+ * @property {number} [minVisibility] Fraction of sample points that must be visible, from 0 to 1.
+ * Defaults to a single point, so partly covered targets are seen.
+ */
+
+/**
+ * @typedef {Object} VisibilityResult
+ * @property {boolean} visible True if the target is in the field of view, in range and visible enough
+ * @property {number} visibility Fraction of the target's sample points in line of sight, from 0 to 1
+ * @property {boolean} inFieldOfView
+ * @property {number} distance Distance between the eyes of the viewer and the target
+ * @property {Block | undefined} blockingBlock First block hiding the target, when no point is in line of sight
+ */
+
+const TRANSPARENT = /glass|leaves|iron_bars|^minecraft:(ice|barrier|scaffolding|chain|honey_block|slime)$/;
+
+/**
+ * @param {Block} block
+ * @returns {boolean}
+ */
+function isTransparentBlock(block) {
+    return TRANSPARENT.test(block.typeId);
+}
+
+/**
+ * @param {Entity | Vector3} target
+ * @returns {Vector3}
+ */
+function eyesOf(target) {
+    return target instanceof Entity ? target.getHeadLocation() : target;
+}
+
+/**
+ * Gets the distance along a ray at which it leaves a block.
+ * @param {Vector3} origin
+ * @param {Vector3} direction Unit vector
+ * @param {Vector3} block Location of the block
+ * @returns {number}
+ */
+function exitDistance(origin, direction, block) {
+    let exit = Infinity;
+    for (const axis of ["x", "y", "z"]) {
+        if (direction[axis] === 0) continue;
+        const bound = direction[axis] > 0 ? block[axis] + 1 : block[axis];
+        exit = Math.min(exit, (bound - origin[axis]) / direction[axis]);
+    }
+    return exit;
+}
+
+/**
+ * Points of an entity checked for line of sight: eyes, body, feet and both sides of the body, as seen from a location.
+ * @param {Entity} entity
+ * @param {Vector3} from
+ * @returns {Vector3[]}
+ */
+function samplePoints(entity, from) {
+    const feet = entity.location, eyes = entity.getHeadLocation();
+    const body = { x: (feet.x + eyes.x) / 2, y: (feet.y + eyes.y) / 2, z: (feet.z + eyes.z) / 2 };
+    // Horizontal vector perpendicular to the line of sight, for the sides
+    const dx = body.x - from.x, dz = body.z - from.z;
+    const length = Math.hypot(dx, dz) || 1;
+    const side = { x: -dz / length * 0.3, z: dx / length * 0.3 };
+    return [
+        eyes,
+        body,
+        { x: feet.x, y: feet.y + 0.1, z: feet.z },
+        { x: body.x + side.x, y: body.y, z: body.z + side.z },
+        { x: body.x - side.x, y: body.y, z: body.z - side.z }
+    ];
+}
+
+/**
+ * Line of sight and field of view checks between entities, for guards spotting players, abilities needing a clear shot...
+ *
+ * @example
+ * import { world, system } from "@minecraft/server"
+ *
+ * system.runInterval(() => {
+ *  for (const guard of world.getDimension("overworld").getEntities({ tags: ["guard"] })) {
+ *   const spotted = VisibilityUtils.getVisibleEntities(guard, { types: ["minecraft:player"], fov: 110, maxDistance: 24 });
+ *   if (spotted.length) guard.addTag("alerted");
+ *  }
+ * }, 10);
+ */
+export class VisibilityUtils {
+
+    /**
+     * Checks if a target is inside the vision cone of a viewer. Blocks are not checked.
+     * @param {Entity} viewer
+     * @param {Entity | Vector3} target Entity or location
+     * @param {number} [fov=90] Full angle of the vision cone, in degrees
+     * @returns {boolean}
+     */
+    static isInFieldOfView(viewer, target, fov = 90) {
+        if (fov >= 360) return true;
+        const eyes = viewer.getHeadLocation(), to = eyesOf(target);
+        const offset = { x: to.x - eyes.x, y: to.y - eyes.y, z: to.z - eyes.z };
+        const distance = Math.hypot(offset.x, offset.y, offset.z);
+        if (!distance) return true;
+        const view = viewer.getViewDirection();
+        const cos = (offset.x * view.x + offset.y * view.y + offset.z * view.z) / distance;
+        return cos >= Math.cos(fov / 2 * Math.PI / 180);
+    }
+
+    /**
+     * Checks if no block is between two locations.
+     * @param {Dimension} dimension
+     * @param {Vector3} from
+     * @param {Vector3} to
+     * @param {Object} [options]
+     * @param {boolean} [options.ignoreTransparentBlocks=true] See through glass, leaves, iron bars...
+     * @param {(block: Block) => boolean} [options.isTransparent] Overrides which blocks are seen through
+     * @returns {{clear: boolean, block: Block | undefined}} `block` is the first block in the way.
+     */
+    static hasLineOfSight(dimension, from, to, options = {}) {
+        const { ignoreTransparentBlocks = true, isTransparent = isTransparentBlock } = options;
+        const offset = { x: to.x - from.x, y: to.y - from.y, z: to.z - from.z };
+        const distance = Math.hypot(offset.x, offset.y, offset.z);
+        if (!distance) return { clear: true, block: undefined };
+        const direction = { x: offset.x / distance, y: offset.y / distance, z: offset.z / distance };
+        let travelled = 0;
+        // Each transparent block seen through restarts the ray right behind it
+        while (travelled < distance) {
+            const origin = { x: from.x + direction.x * travelled, y: from.y + direction.y * travelled, z: from.z + direction.z * travelled };
+            let hit;
+            try {
+                hit = dimension.getBlockFromRay(origin, direction, { maxDistance: distance - travelled, includePassableBlocks: false, includeLiquidBlocks: false });
+            } catch {
+                // The ray goes through an unloaded chunk
+                return { clear: false, block: undefined };
+            }
+            if (!hit) return { clear: true, block: undefined };
+            if (!ignoreTransparentBlocks || !isTransparent(hit.block))
+                return { clear: false, block: hit.block };
+            travelled += exitDistance(origin, direction, hit.block.location) + 1e-3;
+        }
+        return { clear: true, block: undefined };
+    }
+
+    /**
+     * Checks if an entity can see another one, or a location.
+     * Entities are checked at several points (eyes, body, feet, sides), so a target behind partial cover can be seen.
+     * @param {Entity} viewer
+     * @param {Entity | Vector3} target Entity or location
+     * @param {VisibilityOptions} [options]
+     * @returns {VisibilityResult}
+     * @example
+     * const { visible, blockingBlock } = VisibilityUtils.canSee(player, boss, { fov: 70 });
+     * if (!visible && blockingBlock) player.sendMessage(`No clear shot, ${blockingBlock.typeId} in the way`);
+     */
+    static canSee(viewer, target, options = {}) {
+        const { fov = Infinity, maxDistance = 64, minVisibility } = options;
+        const eyes = viewer.getHeadLocation();
+        const to = eyesOf(target);
+        const distance = Math.hypot(to.x - eyes.x, to.y - eyes.y, to.z - eyes.z);
+        const inFieldOfView = VisibilityUtils.isInFieldOfView(viewer, target, fov);
+        const result = { visible: false, visibility: 0, inFieldOfView, distance, blockingBlock: undefined };
+        if (!inFieldOfView || distance > maxDistance) return result;
+        if (target instanceof Entity && target.dimension.id !== viewer.dimension.id) return result;
+
+        const points = target instanceof Entity ? samplePoints(target, eyes) : [target];
+        let seen = 0;
+        for (const point of points) {
+            const { clear, block } = VisibilityUtils.hasLineOfSight(viewer.dimension, eyes, point, options);
+            if (clear) seen++;
+            else result.blockingBlock ??= block;
+        }
+        result.visibility = seen / points.length;
+        result.visible = minVisibility === undefined ? seen > 0 : result.visibility >= minVisibility;
+        if (seen > 0) result.blockingBlock = undefined;
+        return result;
+    }
+
+    /**
+     * Gets the entities a viewer can see, nearest first.
+     * @param {Entity} viewer
+     * @param {VisibilityOptions & {types?: string[], maxDistance?: number}} [options]
+     * `maxDistance` defaults to 32 blocks here. `types` only checks entities of these types.
+     * @returns {Entity[]}
+     */
+    static getVisibleEntities(viewer, options = {}) {
+        const { maxDistance = 32, types } = options;
+        let query = EntityQuery.in(viewer.dimension).near(viewer, maxDistance + 2).sortByDistance();
+        if (types) query = query.type(...types);
+        return query
+            .where(entity => entity.id !== viewer.id)
+            .get()
+            .filter(entity => VisibilityUtils.canSee(viewer, entity, { ...options, maxDistance }).visible);
+    }
+}